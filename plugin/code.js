@@ -2,29 +2,128 @@
 // HTML to Figma Plugin — Creates Figma nodes from scraped design JSON
 // ============================================================================
 
-figma.showUI(__html__, { width: 450, height: 380 });
+figma.showUI(__html__, { width: 450, height: 640 });
+
+// Defaults for the options chosen in the UI's preview panel
+const DEFAULT_IMPORT_OPTIONS = {
+    screenshot: true,
+    skipImages: false,
+    flattenWrappers: false,
+    createComponents: true,
+    targetPage: 'current', // 'current', 'new' or a page id; batches always get one page per URL
+    scale: 1
+};
+
+// The running import's controls; the UI's Cancel and Pause buttons flip these flags
+let activeImport = null;
+
+// Plugin data key holding a layer's child-index path inside its pattern, e.g. "0.2";
+// instance sublayers inherit it from the main component
+const LAYER_PATH_KEY = 'patternPath';
+
+// Image bytes the UI sent ahead of the next import, by asset hash
+let receivedAssets = new Map();
+
+// Import work runs in slices of this length between yields to the editor
+const IMPORT_SLICE_MS = 40;
 
 figma.ui.onmessage = async (msg) => {
     if (msg.type === 'import-design') {
         const data = msg.data;
-        if (!data || !data.rootNode) {
+        const options = Object.assign({}, DEFAULT_IMPORT_OPTIONS, msg.options);
+        // Batch files hold one document per captured URL
+        const documents = data && Array.isArray(data.pages) ? data.pages : [data];
+        // Multi-capture documents hold one capture per breakpoint and scoped selector
+        const captureLists = documents.map(doc => doc && Array.isArray(doc.breakpoints) ? doc.breakpoints : [doc]);
+        const captures = [].concat(...captureLists);
+        if (!data || documents.length === 0 || captures.length === 0 || captures.some(c => !c || !c.rootNode)) {
             figma.notify('❌ Invalid design.json — missing rootNode');
             return;
         }
 
+        if (activeImport) {
+            figma.notify('An import is already running');
+            return;
+        }
+
         figma.notify('🚀 Starting import...');
         sendProgress('Starting import...', 0);
 
+        activeImport = { cancelled: false, paused: false, resume: null };
+        const assets = receivedAssets;
+        receivedAssets = new Map();
+        let sliceStart = Date.now();
+
+        // Everything the import adds, so Cancel or a fatal error can take it back:
+        // its top-level layers, new pages, and the created styles and variables.
+        // Only these are removed; whatever the user does on the page meanwhile stays.
+        const rollback = { nodes: [], pages: [], tokens: null };
+        const startPage = figma.currentPage;
+
         try {
             // Count total nodes for progress tracking
             const MAX_NODES = 30000; // Security: Prevent DoS from massive files
             let totalNodes = 0;
             let processedNodes = 0;
 
+            // Applies the tree-level import options before anything is created
+            function prepareNode(n, inComponent) {
+                if (!n) return n;
+                if (!options.createComponents) delete n.componentId;
+                // Instances and state variants are matched to their main child by child,
+                // so patterns and elements with states keep their wrappers
+                const keepWrappers = inComponent || !!n.componentId || !!n.states;
+                if (n.children) n.children = n.children.map(child => prepareNode(child, keepWrappers));
+                if (options.flattenWrappers && !keepWrappers && isEmptyWrapper(n)) {
+                    return liftWrappedChild(n);
+                }
+                return n;
+            }
+
+            // Keys a frame may have and still add nothing to the single child it wraps
+            const WRAPPER_KEYS = new Set([
+                'type', 'name', 'tag', 'classList', 'x', 'y', 'width', 'height', 'children', 'fills',
+                'clipsContent', 'layoutMode', 'layoutWrap', 'itemSpacing', 'counterAxisSpacing',
+                'primaryAxisAlignItems', 'counterAxisAlignItems', 'paddingTop', 'paddingRight',
+                'paddingBottom', 'paddingLeft', 'layoutPositioning', 'layoutSizingHorizontal', 'layoutSizingVertical'
+            ]);
+
+            function isEmptyWrapper(n) {
+                if (n.type !== 'FRAME' || !n.children || n.children.length !== 1) return false;
+                if (Object.keys(n).some(key => !WRAPPER_KEYS.has(key))) return false;
+                if ((n.fills && n.fills.length > 0) || n.clipsContent) return false;
+                if (n.paddingTop || n.paddingRight || n.paddingBottom || n.paddingLeft) return false;
+                const child = n.children[0];
+                return Math.abs(child.x || 0) < 1 && Math.abs(child.y || 0) < 1 &&
+                    Math.abs((child.width || 0) - (n.width || 0)) < 1 &&
+                    Math.abs((child.height || 0) - (n.height || 0)) < 1;
+            }
+
+            // The child takes the wrapper's place in its parent
+            function liftWrappedChild(wrapper) {
+                const child = wrapper.children[0];
+                child.x = (wrapper.x || 0) + (child.x || 0);
+                child.y = (wrapper.y || 0) + (child.y || 0);
+                if (wrapper.layoutPositioning) child.layoutPositioning = wrapper.layoutPositioning;
+                else delete child.layoutPositioning;
+                for (const key of ['layoutSizingHorizontal', 'layoutSizingVertical']) {
+                    // FILL came from the wrapper's parent; the child's own HUG still applies
+                    if (wrapper[key] === 'FILL') child[key] = 'FILL';
+                    else if (child[key] !== 'HUG') delete child[key];
+                }
+                return child;
+            }
+
+            // After the wrapper helpers above: WRAPPER_KEYS must be initialized first
+            captures.forEach(capture => {
+                capture.rootNode = prepareNode(capture.rootNode, false);
+            });
+
             try {
-                countNodes(data.rootNode);
+                captures.forEach(capture => countNodes(capture.rootNode));
             } catch (e) {
                 figma.notify(`❌ Error: ${e.message}`);
+                figma.ui.postMessage({ type: 'import-stopped', cancelled: false });
                 return;
             }
 
@@ -35,58 +134,343 @@ figma.ui.onmessage = async (msg) => {
                     throw new Error(`Design is too complex (> ${MAX_NODES} layers). Import cancelled to prevent freezing.`);
                 }
                 if (n.children) n.children.forEach(countNodes);
+                if (n.states) Object.values(n.states).forEach(countNodes);
             }
 
-            // Create root frame
-            var pageWidth = data.viewportWidth || 1440;
-            var pageHeight = data.fullHeight || data.viewportHeight || 900;
-            const rootFrame = figma.createFrame();
-            rootFrame.name = data.pageTitle || 'Imported Web Page';
-            rootFrame.resize(pageWidth, pageHeight);
-            rootFrame.clipsContent = true;
-            rootFrame.fills = [];
-
-            // ============================================================
-            // Screenshot background layer (pixel-perfect reference)
-            // ============================================================
-            if (data.screenshotBase64) {
-                sendProgress('Creating screenshot background...', 5);
-                try {
-                    var raw = figma.base64Decode(data.screenshotBase64);
-                    var image = figma.createImage(raw);
-                    var bgRect = figma.createRectangle();
-                    bgRect.name = '🖼️ Screenshot Background';
-                    bgRect.resize(pageWidth, pageHeight);
-                    bgRect.x = 0;
-                    bgRect.y = 0;
-                    bgRect.fills = [{
-                        type: 'IMAGE',
-                        scaleMode: 'FILL',
-                        imageHash: image.hash
-                    }];
-                    rootFrame.appendChild(bgRect);
-                    bgRect.locked = true;
-                } catch (e) {
-                    console.error('Screenshot layer error:', e);
+            // Things the import couldn't reproduce, grouped by message for the UI's log
+            const importLog = new Map();
+            function logIssue(node, message) {
+                let entry = importLog.get(message);
+                if (!entry) {
+                    entry = { message: message, count: 0, layers: [] };
+                    importLog.set(message, entry);
                 }
+                entry.count++;
+                if (entry.layers.length < 3) entry.layers.push(node.name || node.type || 'layer');
             }
 
-            // Process the DOM tree nodes
-            await processNode(data.rootNode, rootFrame);
+            // Images arrive as base64 (`imageBase64`) or as a hash into the asset table the UI
+            // sent ahead (`imageAsset`); each distinct image is created once
+            const images = new Map();
+            function createImageFrom(holder, field) {
+                const hash = holder[field + 'Asset'];
+                const key = hash || holder[field + 'Base64'];
+                if (!key) return null;
+                let image = images.get(key);
+                if (!image) {
+                    const bytes = hash ? assets.get(hash) : figma.base64Decode(key);
+                    if (!bytes) throw new Error(`Image asset ${hash} was not received`);
+                    image = figma.createImage(bytes);
+                    images.set(key, image);
+                }
+                return image;
+            }
+
+            function imageSource(holder) {
+                return holder.imageAsset || holder.imageBase64 || '';
+            }
 
-            // Center in viewport
-            rootFrame.x = figma.viewport.center.x - rootFrame.width / 2;
-            rootFrame.y = figma.viewport.center.y - rootFrame.height / 2;
-            figma.viewport.scrollAndZoomIntoView([rootFrame]);
+            // Substitutes the user picked for fonts missing in Figma ("Family|Style" → fontName)
+            const fontMappings = await saveFontMappings(msg.fontMappings);
+
+            // Local styles and variables first so nodes can bind to them
+            sendProgress('Creating styles and variables...', 2);
+            const designTokens = await createDesignTokens(data.tokens);
+            rollback.tokens = designTokens;
+
+            // componentId → { component, data } once the first occurrence is built
+            const mainComponents = {};
+
+            // Component sets for elements with captured hover/focus/active/disabled states
+            const stateSets = [];
+
+            // One Figma page per URL in a batch; a single document goes on the target page
+            if (documents.length === 1 && options.targetPage === 'new') {
+                const figmaPage = figma.createPage();
+                rollback.pages.push(figmaPage);
+                figmaPage.name = describeDocument(documents[0]);
+                await figma.setCurrentPageAsync(figmaPage);
+            } else if (documents.length === 1 && options.targetPage !== 'current') {
+                const targetPage = await figma.getNodeByIdAsync(options.targetPage);
+                if (targetPage && targetPage.type === 'PAGE') await figma.setCurrentPageAsync(targetPage);
+            }
+            let firstView = null;
+            for (let i = 0; i < documents.length; i++) {
+                if (documents.length > 1) {
+                    const figmaPage = figma.createPage();
+                    rollback.pages.push(figmaPage);
+                    figmaPage.name = describeDocument(documents[i]);
+                    await figma.setCurrentPageAsync(figmaPage);
+                    sendProgress(
+                        `Page ${i + 1}/${documents.length}: ${figmaPage.name}`,
+                        Math.round((processedNodes / totalNodes) * 100)
+                    );
+                }
+                const view = await importDocument(captureLists[i]);
+                if (!firstView) firstView = { page: figma.currentPage, nodes: view };
+            }
+            if (firstView.page !== startPage) {
+                await figma.setCurrentPageAsync(firstView.page);
+            }
+            figma.viewport.scrollAndZoomIntoView(firstView.nodes);
 
             sendProgress('Import complete!', 100);
-            figma.notify(`✅ Import complete! ${processedNodes} layers created.`);
+            figma.notify((documents.length > 1
+                ? `✅ Import complete! ${processedNodes} layers created on ${documents.length} pages.`
+                : `✅ Import complete! ${processedNodes} layers created.`) +
+                (importLog.size > 0 ? ` ${importLog.size} issue(s) in the import log.` : ''));
+            figma.ui.postMessage({
+                type: 'import-log',
+                entries: Array.from(importLog.values()).map(entry =>
+                    `${entry.message} — ${entry.count} layer(s): ${entry.layers.join(', ')}${entry.count > entry.layers.length ? ', …' : ''}`)
+            });
+
+            // ================================================================
+            // One document (URL): root frames, labels and state sets
+            // ================================================================
+            async function importDocument(captureList) {
+                // State sets are laid out beside the frames of their own page
+                stateSets.length = 0;
+
+                const rootFrames = [];
+                for (const capture of captureList) {
+                    rootFrames.push(await createRootFrame(capture));
+                }
+
+                let labels = [];
+                if (rootFrames.length === 1) {
+                    // Center in viewport
+                    const rootFrame = rootFrames[0];
+                    rootFrame.x = figma.viewport.center.x - rootFrame.width / 2;
+                    rootFrame.y = figma.viewport.center.y - rootFrame.height / 2;
+                } else {
+                    labels = await layoutBreakpoints(rootFrames, captureList);
+                }
+                // Variants match their instances, which were scaled with their root frame
+                if (options.scale && options.scale !== 1) {
+                    stateSets.forEach(set => set.rescale(options.scale));
+                }
+                layoutStateSets(rootFrames);
+                return rootFrames.concat(labels);
+            }
+
+            // Page name: route path, then page title
+            function describeDocument(doc) {
+                // The plugin sandbox has no URL global
+                const route = (doc.url || '').replace(/^https?:\/\/[^/?#]+/i, '').replace(/#.*$/, '') || (doc.url ? '/' : '');
+                const title = doc.pageTitle || (doc.breakpoints && doc.breakpoints[0].pageTitle) || '';
+                return [route, title].filter(Boolean).join(' — ') || 'Imported Web Page';
+            }
+
+            // ================================================================
+            // Root frame (one per captured viewport)
+            // ================================================================
+            async function createRootFrame(capture) {
+                var pageWidth = capture.viewportWidth || 1440;
+                var pageHeight = capture.fullHeight || capture.viewportHeight || 900;
+                const rootFrame = figma.createFrame();
+                rollback.nodes.push(rootFrame);
+                rootFrame.name = capture.pageTitle || 'Imported Web Page';
+                if (capture.scope) {
+                    rootFrame.name += ` — ${capture.scope.selector}`;
+                }
+                if (capture.breakpoint) {
+                    rootFrame.name += ` — ${capture.breakpoint.name} ${capture.breakpoint.width}px`;
+                }
+                rootFrame.resize(pageWidth, pageHeight);
+                rootFrame.clipsContent = true;
+                rootFrame.fills = [];
+
+                // Screenshot background layer (pixel-perfect reference)
+                if ((capture.screenshotBase64 || capture.screenshotAsset) && options.screenshot) {
+                    sendProgress('Creating screenshot background...', 5);
+                    try {
+                        var image = createImageFrom(capture, 'screenshot');
+                        var bgRect = figma.createRectangle();
+                        bgRect.name = '🖼️ Screenshot Background';
+                        bgRect.resize(pageWidth, pageHeight);
+                        bgRect.x = 0;
+                        bgRect.y = 0;
+                        bgRect.fills = [{
+                            type: 'IMAGE',
+                            scaleMode: 'FILL',
+                            imageHash: image.hash
+                        }];
+                        rootFrame.appendChild(bgRect);
+                        bgRect.locked = true;
+                    } catch (e) {
+                        console.error('Screenshot layer error:', e);
+                    }
+                }
+
+                // Process the DOM tree nodes
+                await processNode(capture.rootNode, rootFrame);
+
+                // Like the scale tool: text, strokes, radii and effects scale with the frame
+                if (options.scale && options.scale !== 1) {
+                    rootFrame.rescale(options.scale);
+                }
+
+                return rootFrame;
+            }
+
+            // ================================================================
+            // Design tokens → local paint/text/effect styles and variables
+            // ================================================================
+            async function createDesignTokens(tokens) {
+                const created = { styles: {}, variables: {} };
+                if (!tokens) return created;
+
+                let collection = null;
+                function createVariable(name, type, value) {
+                    try {
+                        if (!collection) {
+                            collection = figma.variables.createVariableCollection('HTML2Figma Tokens');
+                            created.collection = collection;
+                        }
+                        // Figma reserves '.', '{' and '}' in variable names
+                        const variableName = name.replace(/^--/, '').replace(/[.{}]/g, '-');
+                        const variable = figma.variables.createVariable(variableName, collection, type);
+                        variable.setValueForMode(collection.modes[0].modeId, value);
+                        return variable;
+                    } catch (e) {
+                        console.error('Failed to create variable:', e);
+                        return null;
+                    }
+                }
+
+                // CSS custom properties from :root
+                const cssVariables = {};
+                for (const v of tokens.variables || []) {
+                    const value = v.type === 'COLOR'
+                        ? { r: clamp(v.value.r || 0), g: clamp(v.value.g || 0), b: clamp(v.value.b || 0), a: clamp(v.value.a !== undefined ? v.value.a : 1) }
+                        : v.value;
+                    const variable = createVariable(v.name, v.type, value);
+                    if (variable) cssVariables[v.name] = variable;
+                }
+
+                for (const token of tokens.colors || []) {
+                    try {
+                        const c = token.color || {};
+                        let paint = {
+                            type: 'SOLID',
+                            color: { r: clamp(c.r || 0), g: clamp(c.g || 0), b: clamp(c.b || 0) },
+                            opacity: c.a !== undefined ? clamp(c.a) : 1
+                        };
+                        const variable = token.variable && cssVariables[token.variable];
+                        if (variable) paint = figma.variables.setBoundVariableForPaint(paint, 'color', variable);
+
+                        const style = figma.createPaintStyle();
+                        style.name = token.name;
+                        style.paints = [paint];
+                        created.styles[token.id] = style;
+                    } catch (e) {
+                        console.error('Failed to create paint style:', e);
+                    }
+                }
+
+                for (const token of tokens.typography || []) {
+                    try {
+                        const style = figma.createTextStyle();
+                        style.name = token.name;
+                        style.fontName = await loadFontWithFallback(token.fontFamily, token.figmaFontStyle || 'Regular', token);
+                        if (token.fontSize) style.fontSize = token.fontSize;
+                        if (token.lineHeight && token.lineHeight.unit === 'PIXELS' && token.lineHeight.value) {
+                            style.lineHeight = { unit: 'PIXELS', value: token.lineHeight.value };
+                        }
+                        if (token.letterSpacing) {
+                            style.letterSpacing = { unit: 'PIXELS', value: token.letterSpacing };
+                        }
+                        if (token.textDecoration && token.textDecoration !== 'NONE') {
+                            style.textDecoration = token.textDecoration;
+                        }
+                        created.styles[token.id] = style;
+                    } catch (e) {
+                        console.error('Failed to create text style:', e);
+                    }
+                }
+
+                for (const token of tokens.shadows || []) {
+                    try {
+                        const style = figma.createEffectStyle();
+                        style.name = token.name;
+                        style.effects = sanitizeEffects(token.effects);
+                        created.styles[token.id] = style;
+                    } catch (e) {
+                        console.error('Failed to create effect style:', e);
+                    }
+                }
+
+                // Radii reuse a matching CSS variable when the page defines one
+                for (const token of tokens.radii || []) {
+                    const variable = (token.variable && cssVariables[token.variable]) ||
+                        createVariable(token.name, 'FLOAT', token.value);
+                    if (variable) created.variables[token.id] = variable;
+                }
+
+                return created;
+            }
+
+            // ================================================================
+            // Breakpoints side by side, top-aligned, each with a label above;
+            // scoped captures get one row per selector
+            // ================================================================
+            async function layoutBreakpoints(frames, captureList) {
+                const GAP = 120;
+                const LABEL_OFFSET = 48;
+
+                // One row per scoped selector (a single row for full-page captures)
+                const rows = [];
+                frames.forEach((frame, i) => {
+                    const key = captureList[i].scope ? captureList[i].scope.selector : '';
+                    let row = rows.find(r => r.key === key);
+                    if (!row) rows.push(row = { key, items: [] });
+                    row.items.push(i);
+                });
+                const rowWidth = row => row.items.reduce((sum, i) => sum + frames[i].width, 0) + GAP * (row.items.length - 1);
+                const rowHeight = row => Math.max(...row.items.map(i => frames[i].height));
+                const totalWidth = Math.max(...rows.map(rowWidth));
+                const totalHeight = rows.reduce((sum, row) => sum + rowHeight(row), 0) + (GAP + LABEL_OFFSET) * (rows.length - 1);
+                const left = figma.viewport.center.x - totalWidth / 2;
+                let y = figma.viewport.center.y - totalHeight / 2;
+
+                const labelFont = await loadFontWithFallback('Inter', 'Bold');
+                const labels = [];
+                for (const row of rows) {
+                    let x = left;
+                    for (const i of row.items) {
+                        const frame = frames[i];
+                        frame.x = x;
+                        frame.y = y;
+
+                        const bp = captureList[i].breakpoint || {};
+                        const label = figma.createText();
+                        rollback.nodes.push(label);
+                        label.fontName = labelFont;
+                        label.fontSize = 24;
+                        label.characters = bp.name
+                            ? `${bp.name} · ${bp.width}px`
+                            : `${Math.round(frame.width)}px`;
+                        if (row.key) label.characters = `${row.key} · ${label.characters}`;
+                        label.name = `Label: ${label.characters}`;
+                        label.x = x;
+                        label.y = y - LABEL_OFFSET;
+                        labels.push(label);
+
+                        x += frame.width + GAP;
+                    }
+                    y += rowHeight(row) + GAP + LABEL_OFFSET;
+                }
+                return labels;
+            }
 
             // ================================================================
             // Recursive node processor
             // ================================================================
-            async function processNode(node, parent) {
+            // `path` is the node's child-index path inside the pattern being built, or null outside one
+            async function processNode(node, parent, path = null) {
                 if (!node) return null;
+                await checkpoint();
 
                 processedNodes++;
                 if (processedNodes % 50 === 0) {
@@ -97,27 +481,35 @@ figma.ui.onmessage = async (msg) => {
                 }
 
                 let figmaNode;
+                const main = node.componentId && mainComponents[node.componentId];
 
-                switch (node.type) {
-                    case 'TEXT':
-                        figmaNode = await createTextNode(node);
-                        break;
-
-                    case 'SVG':
-                        figmaNode = createSvgNode(node);
-                        break;
-
-                    case 'IMAGE':
-                        figmaNode = await createImageNode(node);
-                        break;
-
-                    case 'FRAME':
-                    default:
-                        figmaNode = createFrameNode(node);
-                        break;
+                if (main) {
+                    // Repeats of a detected pattern are instances of its main component
+                    figmaNode = main.component.createInstance();
+                } else {
+                    switch (node.type) {
+                        case 'TEXT':
+                            figmaNode = await createTextNode(node);
+                            break;
+
+                        case 'SVG':
+                            figmaNode = createSvgNode(node);
+                            break;
+
+                        case 'IMAGE':
+                            figmaNode = await createImageNode(node);
+                            break;
+
+                        case 'FRAME':
+                        default:
+                            figmaNode = createFrameNode(node);
+                            break;
+                    }
                 }
 
                 if (!figmaNode) return null;
+                // State variants are built on the page before they join their component set
+                if (!parent) rollback.nodes.push(figmaNode);
 
                 // Position and size
                 if (node.x !== undefined) figmaNode.x = node.x;
@@ -131,27 +523,266 @@ figma.ui.onmessage = async (msg) => {
                 // Name
                 if (node.name) figmaNode.name = node.name;
 
+                // mix-blend-mode; filters without a Figma effect go to the import log
+                if (node.blendMode) figmaNode.blendMode = node.blendMode;
+                for (const effect of node.unsupportedEffects || []) {
+                    logIssue(node, `Skipped unsupported ${effect}`);
+                }
+
                 // Append to parent
                 if (parent && typeof parent.appendChild === 'function') {
                     parent.appendChild(figmaNode);
                 }
 
-                // Process children (only for frames)
-                if (node.children && node.children.length > 0 && typeof figmaNode.appendChild === 'function') {
-                    for (const child of node.children) {
-                        await processNode(child, figmaNode);
+                // Process children (only for frames); instances bring theirs from the main component
+                if (main) {
+                    await applyInstanceOverrides(figmaNode, node, main.data);
+                    processedNodes += countDescendants(node);
+                } else if (node.children && node.children.length > 0 && typeof figmaNode.appendChild === 'function') {
+                    // A pattern root starts the paths its instances use to find their layers;
+                    // patterns never nest, so paths are unique within one
+                    const basePath = node.componentId ? '' : path;
+                    for (let i = 0; i < node.children.length; i++) {
+                        const childPath = basePath === null ? null : (basePath ? `${basePath}.${i}` : String(i));
+                        await processNode(node.children[i], figmaNode, childPath);
+                    }
+                }
+
+                // Auto-layout sizing — after children exist so hugging frames measure them
+                applyLayoutSizing(figmaNode, node, parent);
+
+                // Outlines are drawn over the children, at the node's final size
+                if (node.outline && !main) {
+                    try {
+                        applyOutline(figmaNode, node, parent);
+                    } catch (e) {
+                        console.error('Failed to apply outline:', e);
                     }
                 }
 
+                // CSS transforms last, so scaling also covers the children and the outline
+                if (node.transform) {
+                    try {
+                        applyTransform(figmaNode, node, main ? main.data.transform : null);
+                    } catch (e) {
+                        console.error('Failed to apply transform:', e);
+                    }
+                }
+
+                // The first occurrence of a pattern becomes its main component, in place;
+                // elements with states become the Default variant of a component set
+                if ((node.componentId || node.states) && !main) {
+                    try {
+                        const component = figma.createComponentFromNode(figmaNode);
+                        figmaNode = node.states
+                            ? await createStateVariants(component, node, parent)
+                            : component;
+                        if (node.componentId) {
+                            mainComponents[node.componentId] = { component: component, data: node };
+                        }
+                    } catch (e) {
+                        console.error('Failed to create component:', e);
+                    }
+                }
+
+                if (path) figmaNode.setPluginData(LAYER_PATH_KEY, path);
+
                 return figmaNode;
             }
 
+            // Yields to the editor once the current slice is used up, waits while paused
+            // and stops the import when it was cancelled
+            async function checkpoint() {
+                if (Date.now() - sliceStart >= IMPORT_SLICE_MS || activeImport.paused) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    while (activeImport.paused && !activeImport.cancelled) {
+                        await new Promise(resolve => { activeImport.resume = resolve; });
+                    }
+                    sliceStart = Date.now();
+                }
+                if (activeImport.cancelled) {
+                    const error = new Error('Import cancelled');
+                    error.cancelled = true;
+                    throw error;
+                }
+            }
+
+            function countDescendants(node) {
+                let count = 0;
+                for (const child of node.children || []) {
+                    count += 1 + countDescendants(child);
+                }
+                for (const stateNode of Object.values(node.states || {})) {
+                    count += 1 + countDescendants(stateNode);
+                }
+                return count;
+            }
+
+            // ================================================================
+            // Interactive states → component set with a State variant property
+            // ================================================================
+            async function createStateVariants(defaultComponent, node, parent) {
+                // The layout keeps an instance of Default; the set itself sits beside the page
+                const instance = defaultComponent.createInstance();
+                if (parent && typeof parent.insertChild === 'function') {
+                    parent.insertChild(parent.children.indexOf(defaultComponent), instance);
+                }
+                // relativeTransform carries the position plus any CSS rotation
+                instance.relativeTransform = defaultComponent.relativeTransform;
+                instance.name = defaultComponent.name;
+                applyLayoutSizing(instance, node, parent);
+
+                defaultComponent.name = 'State=Default';
+                const variants = [defaultComponent];
+                for (const state of Object.keys(node.states)) {
+                    const stateNode = await processNode(node.states[state], null);
+                    if (!stateNode) continue;
+                    const variant = stateNode.type === 'COMPONENT' ? stateNode : figma.createComponentFromNode(stateNode);
+                    rollback.nodes.push(variant);
+                    variant.name = `State=${state.charAt(0).toUpperCase()}${state.slice(1)}`;
+                    variants.push(variant);
+                }
+
+                const componentSet = figma.combineAsVariants(variants, figma.currentPage);
+                rollback.nodes.push(componentSet);
+                componentSet.name = node.name || 'Interactive element';
+                componentSet.layoutMode = 'HORIZONTAL';
+                componentSet.primaryAxisSizingMode = 'AUTO';
+                componentSet.counterAxisSizingMode = 'AUTO';
+                componentSet.itemSpacing = 24;
+                componentSet.paddingTop = componentSet.paddingBottom = 24;
+                componentSet.paddingLeft = componentSet.paddingRight = 24;
+                stateSets.push(componentSet);
+
+                return instance;
+            }
+
+            // Stack the state component sets in a column right of the imported pages
+            function layoutStateSets(frames) {
+                if (stateSets.length === 0) return;
+                const GAP = 80;
+                const x = Math.max(...frames.map(f => f.x + f.width)) + GAP * 2;
+                let y = Math.min(...frames.map(f => f.y));
+                for (const componentSet of stateSets) {
+                    componentSet.x = x;
+                    componentSet.y = y;
+                    y += componentSet.height + GAP;
+                }
+            }
+
+            // ================================================================
+            // Instance overrides — text and image content that differs from the main
+            // ================================================================
+            // Layers are paired with the data through the path recorded on the main
+            // component, since a child that failed to build leaves no layer behind
+            async function applyInstanceOverrides(instance, data, mainData) {
+                const layers = new Map();
+                (function index(layer) {
+                    for (const child of layer.children || []) {
+                        const path = child.getPluginData(LAYER_PATH_KEY);
+                        if (path) layers.set(path, child);
+                        index(child);
+                    }
+                })(instance);
+
+                async function visit(dataNode, mainNode, path) {
+                    const dataChildren = dataNode.children || [];
+                    const mainChildren = mainNode.children || [];
+                    for (let i = 0; i < dataChildren.length && i < mainChildren.length; i++) {
+                        const childPath = path ? `${path}.${i}` : String(i);
+                        const layer = layers.get(childPath);
+                        if (!layer) continue;
+                        overrideGeometry(layer, dataChildren[i], mainChildren[i], false);
+                        await overrideLayer(layer, dataChildren[i], mainChildren[i]);
+                        await visit(dataChildren[i], mainChildren[i], childPath);
+                    }
+                }
+
+                overrideGeometry(instance, data, mainData, true);
+                await overrideLayer(instance, data, mainData);
+                await visit(data, mainData, '');
+            }
+
+            // Instances match on structure and style only; each keeps the size and
+            // placement its own content had (label length, grid column width)
+            function overrideGeometry(target, data, mainData, isRoot) {
+                const differs = key => typeof data[key] === 'number' && Math.abs(data[key] - (mainData[key] || 0)) > 0.5;
+                try {
+                    // Auto layout places children itself; the instance root was placed by processNode
+                    if (!isRoot && target.parent && target.parent.layoutMode === 'NONE') {
+                        if (differs('x')) target.x = data.x;
+                        if (differs('y')) target.y = data.y;
+                    }
+                    if ((differs('width') || differs('height')) && typeof target.resize === 'function' &&
+                        !(target.type === 'TEXT' && target.textAutoResize === 'WIDTH_AND_HEIGHT')) {
+                        // resize() would fix a text layer's height; it should still follow the text
+                        const autoResize = target.type === 'TEXT' ? target.textAutoResize : null;
+                        target.resize(Math.max(data.width || target.width, 1), Math.max(data.height || target.height, 1));
+                        if (autoResize === 'HEIGHT') target.textAutoResize = 'HEIGHT';
+                    }
+                } catch (e) {
+                    console.error('Failed to apply instance size:', e);
+                }
+            }
+
+            async function overrideLayer(target, data, mainData) {
+                try {
+                    if (data.type === 'TEXT') {
+                        // Text with a background is a wrapper frame around the text layer
+                        const textNode = target.type === 'TEXT'
+                            ? target
+                            : (target.children || []).find(c => c.type === 'TEXT');
+                        const textChanged = data.characters !== mainData.characters ||
+                            data.hyperlink !== mainData.hyperlink ||
+                            JSON.stringify(data.textSegments || []) !== JSON.stringify(mainData.textSegments || []);
+                        if (textNode && textChanged) await replaceText(textNode, data);
+                        return;
+                    }
+
+                    if (data.type === 'IMAGE' && imageSource(data) !== imageSource(mainData)) {
+                        const paint = createImagePaint({ imageBase64: data.imageBase64, imageAsset: data.imageAsset });
+                        if (paint) target.fills = [paint];
+                    }
+
+                    // Background images are content too
+                    const imageKey = fills => (fills || []).map(imageSource).join('|');
+                    if (data.fills && imageKey(data.fills) !== imageKey(mainData.fills)) {
+                        target.fills = sanitizeFills(data.fills);
+                    }
+                } catch (e) {
+                    console.error('Failed to apply instance override:', e);
+                }
+            }
+
+            // New text in an instance: the runs copied from the main component are reset to
+            // the layer's base style before the instance's own runs are applied
+            async function replaceText(textNode, data) {
+                // Fonts were loaded when the main component was built
+                textNode.characters = data.characters || '';
+                const length = textNode.characters.length;
+                if (length > 0) {
+                    textNode.setRangeFontName(0, length, await loadFontWithFallback(data.fontFamily, data.figmaFontStyle || 'Regular'));
+                    if (data.fontSize) textNode.setRangeFontSize(0, length, data.fontSize);
+                    if (data.fills && data.fills.length > 0) textNode.setRangeFills(0, length, sanitizeFills(data.fills));
+                    textNode.setRangeTextDecoration(0, length, data.textDecoration || 'NONE');
+                    textNode.setRangeHyperlink(0, length, null);
+                }
+                if (data.textSegments && data.textSegments.length > 0) {
+                    await applyTextSegments(textNode, data.textSegments);
+                } else if (data.hyperlink) {
+                    textNode.hyperlink = { type: 'URL', value: data.hyperlink };
+                }
+            }
+
             // ================================================================
             // Frame Node (containers)
             // ================================================================
             function createFrameNode(node) {
                 const frame = figma.createFrame();
 
+                // Auto-layout (before resize — enabling it can snap the frame to its content)
+                applyAutoLayout(frame, node);
+
                 // Size
                 const w = Math.max(node.width || 1, 1);
                 const h = Math.max(node.height || 1, 1);
@@ -167,6 +798,15 @@ figma.ui.onmessage = async (msg) => {
                     frame.fills = []; // Transparent by default
                 }
 
+                // Older design.json files carry a single background image outside the fills
+                if (node.backgroundImageBase64 || node.backgroundImageAsset) {
+                    const legacyPaint = createImagePaint({
+                        imageBase64: node.backgroundImageBase64,
+                        imageAsset: node.backgroundImageAsset
+                    });
+                    if (legacyPaint) frame.fills = frame.fills.concat([legacyPaint]);
+                }
+
                 // Strokes (borders)
                 applyStrokes(frame, node);
 
@@ -176,6 +816,10 @@ figma.ui.onmessage = async (msg) => {
                 // Effects (shadows)
                 applyEffects(frame, node);
 
+                // Design tokens replace the raw values with shared styles
+                bindTokenStyles(frame, node.tokenRefs, { fill: 'fillStyleId', stroke: 'strokeStyleId', effect: 'effectStyleId' });
+                bindRadiusVariable(frame, node.tokenRefs);
+
                 return frame;
             }
 
@@ -185,11 +829,17 @@ figma.ui.onmessage = async (msg) => {
             async function createTextNode(node) {
                 // If this text node has a background, wrap it in a frame
                 const hasBackground = node.backgroundFills && node.backgroundFills.length > 0;
-                const hasBorder = node.strokes && node.strokes.length > 0;
+                const hasBorder = (node.strokes && node.strokes.length > 0) || !!node.outline;
                 const hasRadius = (node.topLeftRadius || node.topRightRadius ||
                     node.bottomRightRadius || node.bottomLeftRadius);
                 const hasEffects = node.effects && node.effects.length > 0;
-                const needsWrapper = hasBackground || hasBorder || hasRadius || hasEffects;
+                // Padding, vertical centering or alignment of an auto-width line put the
+                // text somewhere inside the element box, so the box becomes a frame
+                const box = node.textBox;
+                const offsetText = box && (Math.abs(box.x) > 0.5 || Math.abs(box.y) > 0.5 ||
+                    (node.textAutoResize === 'WIDTH_AND_HEIGHT' && node.textAlignHorizontal !== 'LEFT'));
+                const needsWrapper = hasBackground || hasBorder || hasRadius || hasEffects ||
+                    node.clipsContent || offsetText;
 
                 let wrapper = null;
                 if (needsWrapper) {
@@ -199,7 +849,7 @@ figma.ui.onmessage = async (msg) => {
                         Math.max(node.width || 1, 1),
                         Math.max(node.height || 1, 1)
                     );
-                    wrapper.clipsContent = false;
+                    wrapper.clipsContent = !!node.clipsContent;
 
                     if (hasBackground) {
                         wrapper.fills = sanitizeFills(node.backgroundFills);
@@ -210,40 +860,16 @@ figma.ui.onmessage = async (msg) => {
                     applyStrokes(wrapper, node);
                     applyCornerRadius(wrapper, node);
                     applyEffects(wrapper, node);
+
+                    bindTokenStyles(wrapper, node.tokenRefs, { background: 'fillStyleId', stroke: 'strokeStyleId', effect: 'effectStyleId' });
+                    bindRadiusVariable(wrapper, node.tokenRefs);
                 }
 
                 // Create the text node
                 const textNode = figma.createText();
 
-                // Determine font to load
-                const fontFamily = sanitizeFontFamily(node.fontFamily);
-                const fontStyle = node.figmaFontStyle || 'Regular';
-
-                // Try loading the exact font, fall back to Inter
-                let loadedFont = false;
-                const fontsToTry = [
-                    { family: fontFamily, style: fontStyle },
-                    { family: fontFamily, style: 'Regular' },
-                    { family: 'Inter', style: fontStyle },
-                    { family: 'Inter', style: 'Regular' }
-                ];
-
-                for (const font of fontsToTry) {
-                    try {
-                        await figma.loadFontAsync(font);
-                        textNode.fontName = font;
-                        loadedFont = true;
-                        break;
-                    } catch (e) {
-                        // Try next
-                    }
-                }
-
-                if (!loadedFont) {
-                    // Absolute fallback
-                    await figma.loadFontAsync({ family: 'Inter', style: 'Regular' });
-                    textNode.fontName = { family: 'Inter', style: 'Regular' };
-                }
+                // Load the exact font, falling back to Inter
+                textNode.fontName = await loadFontWithFallback(node.fontFamily, node.figmaFontStyle || 'Regular', node);
 
                 // Set text content
                 textNode.characters = node.characters || '';
@@ -273,6 +899,12 @@ figma.ui.onmessage = async (msg) => {
                     textNode.textAlignHorizontal = node.textAlignHorizontal;
                 }
 
+                // First line pushed aside by an inline ::before or list marker
+                if (node.paragraphIndent) textNode.paragraphIndent = node.paragraphIndent;
+
+                // Gap between paragraphs (block spans, margins) beyond the line height
+                if (node.paragraphSpacing) textNode.paragraphSpacing = node.paragraphSpacing;
+
                 // Text decoration
                 if (node.textDecoration && node.textDecoration !== 'NONE') {
                     textNode.textDecoration = node.textDecoration;
@@ -283,14 +915,42 @@ figma.ui.onmessage = async (msg) => {
                     textNode.fills = sanitizeFills(node.fills);
                 }
 
-                // Sizing — fixed width from scraper, auto height for font metric adjustment
-                var tw = Math.max(node.width || 1, 1);
-                textNode.resize(tw, Math.max(node.height || 1, 1));
-                textNode.textAutoResize = 'HEIGHT';
+                // Shared text and color styles, before ranges override parts of them
+                bindTokenStyles(textNode, node.tokenRefs, { text: 'textStyleId', fill: 'fillStyleId' });
+
+                // Rich text runs — inline bold, italics, links and code override the base style
+                if (node.textSegments && node.textSegments.length > 0) {
+                    await applyTextSegments(textNode, node.textSegments);
+                } else if (node.hyperlink) {
+                    textNode.hyperlink = { type: 'URL', value: node.hyperlink };
+                }
+
+                // text-transform, kept editable as Figma's text case
+                if (node.textCase) textNode.textCase = node.textCase;
+
+                // Sizing — the measured text box when there is one, else the element box.
+                // Auto height adjusts for font metrics; text already broken into the
+                // browser's lines grows sideways instead of wrapping a second time
+                var tw = Math.max((box ? box.width : node.width) || 1, 1);
+                textNode.resize(tw, Math.max((box ? box.height : node.height) || 1, 1));
+                textNode.textAutoResize = node.textAutoResize || 'HEIGHT';
+
+                // Ellipsis and -webkit-line-clamp
+                if (node.textTruncation) {
+                    textNode.textTruncation = node.textTruncation;
+                    if (node.maxLines) textNode.maxLines = node.maxLines;
+                }
 
                 if (wrapper) {
                     textNode.x = 0;
                     textNode.y = 0;
+                    if (box) {
+                        // Auto-width lines are aligned inside the content box by hand
+                        const free = box.width - textNode.width;
+                        const shift = { CENTER: free / 2, RIGHT: free }[node.textAlignHorizontal] || 0;
+                        textNode.x = box.x + (node.textAutoResize === 'WIDTH_AND_HEIGHT' ? shift : 0);
+                        textNode.y = box.y;
+                    }
                     wrapper.appendChild(textNode);
                     return wrapper;
                 }
@@ -298,6 +958,76 @@ figma.ui.onmessage = async (msg) => {
                 return textNode;
             }
 
+            // Resolved fonts by "Family|Style", so each missing font is only tried once
+            const loadedFonts = new Map();
+
+            async function loadFontWithFallback(family, style, node) {
+                const fontFamily = sanitizeFontFamily(family);
+                const key = `${fontFamily}|${style}`;
+                let font = loadedFonts.get(key);
+                if (!font) {
+                    font = await resolveFont(fontFamily, style, fontMappings[key]);
+                    loadedFonts.set(key, font);
+                }
+                if (node && font.fallback) {
+                    logIssue(node, `Font "${fontFamily} ${style}" is not available — replaced with ${font.fontName.family} ${font.fontName.style}`);
+                }
+                return font.fontName;
+            }
+
+            async function resolveFont(family, style, mapping) {
+                const fontsToTry = [
+                    { family: family, style: style },
+                    { family: family, style: 'Regular' },
+                    { family: 'Inter', style: style },
+                    { family: 'Inter', style: 'Regular' }
+                ];
+                if (mapping) fontsToTry.unshift(mapping);
+
+                for (const font of fontsToTry) {
+                    try {
+                        await figma.loadFontAsync(font);
+                        // A substitute the user chose isn't an issue worth logging
+                        const fallback = font !== mapping && (font.family !== family || font.style !== style);
+                        return { fontName: font, fallback: fallback };
+                    } catch (e) {
+                        // Try next
+                    }
+                }
+
+                // Absolute fallback
+                const fallback = { family: 'Inter', style: 'Regular' };
+                await figma.loadFontAsync(fallback);
+                return { fontName: fallback, fallback: true };
+            }
+
+            async function applyTextSegments(textNode, segments) {
+                const length = textNode.characters.length;
+                for (const seg of segments) {
+                    const start = Math.max(seg.start || 0, 0);
+                    const end = Math.min(seg.end || 0, length);
+                    if (end <= start) continue;
+
+                    try {
+                        // The new font must be loaded before any other range property is set
+                        if (seg.fontFamily) {
+                            const font = await loadFontWithFallback(seg.fontFamily, seg.figmaFontStyle || 'Regular', textNode);
+                            textNode.setRangeFontName(start, end, font);
+                        }
+                        if (seg.fontSize) textNode.setRangeFontSize(start, end, seg.fontSize);
+                        if (seg.fills && seg.fills.length > 0) {
+                            textNode.setRangeFills(start, end, sanitizeFills(seg.fills));
+                        }
+                        if (seg.textDecoration) textNode.setRangeTextDecoration(start, end, seg.textDecoration);
+                        if (seg.hyperlink) {
+                            textNode.setRangeHyperlink(start, end, { type: 'URL', value: seg.hyperlink });
+                        }
+                    } catch (e) {
+                        console.error('Failed to apply text segment:', e);
+                    }
+                }
+            }
+
             // ================================================================
             // SVG Node
             // ================================================================
@@ -338,11 +1068,9 @@ figma.ui.onmessage = async (msg) => {
                 const h = Math.max(node.height || 100, 1);
                 rect.resize(w, h);
 
-                if (node.imageBase64) {
+                if (imageSource(node) && !options.skipImages) {
                     try {
-                        // Decode base64 to Uint8Array
-                        const raw = figma.base64Decode(node.imageBase64);
-                        const image = figma.createImage(raw);
+                        const image = createImageFrom(node, 'image');
                         rect.fills = [{
                             type: 'IMAGE',
                             scaleMode: 'FILL',
@@ -356,7 +1084,7 @@ figma.ui.onmessage = async (msg) => {
                         }];
                         rect.name = node.name || 'Image (load error)';
                     }
-                } else if (node.imageUrl) {
+                } else if (node.imageUrl && !options.skipImages) {
                     // Try createImageAsync with URL
                     try {
                         const image = await figma.createImageAsync(node.imageUrl);
@@ -380,6 +1108,8 @@ figma.ui.onmessage = async (msg) => {
                     }];
                 }
 
+                applyEffects(rect, node);
+
                 return rect;
             }
 
@@ -391,48 +1121,84 @@ figma.ui.onmessage = async (msg) => {
                 if (!fills || !Array.isArray(fills)) return [];
 
                 return fills.map(fill => {
-                    if (fill.type === 'SOLID') {
-                        var c = fill.color || {};
-                        return {
-                            type: 'SOLID',
-                            color: {
-                                r: clamp(c.r || 0),
-                                g: clamp(c.g || 0),
-                                b: clamp(c.b || 0)
-                            },
-                            opacity: fill.opacity !== undefined ? clamp(fill.opacity) : 1
-                        };
-                    }
+                    const paint = sanitizePaint(fill);
+                    // background-blend-mode, per layer
+                    if (paint && fill.blendMode) paint.blendMode = fill.blendMode;
+                    return paint;
+                }).filter(Boolean);
+            }
 
-                    if (fill.type === 'GRADIENT_LINEAR' || fill.type === 'GRADIENT_RADIAL') {
-                        return {
-                            type: fill.type,
-                            gradientStops: (fill.gradientStops || []).map(function (stop) {
-                                var sc = stop.color || {};
-                                return {
-                                    color: {
-                                        r: clamp(sc.r || 0),
-                                        g: clamp(sc.g || 0),
-                                        b: clamp(sc.b || 0),
-                                        a: sc.a !== undefined ? clamp(sc.a) : 1
-                                    },
-                                    position: clamp(stop.position || 0)
-                                };
-                            }
-                            ),
-                            gradientTransform: fill.gradientHandlePositions
-                                ? handlePositionsToTransform(fill.gradientHandlePositions)
-                                : [[1, 0, 0], [0, 1, 0]]
-                        };
-                    }
+            function sanitizePaint(fill) {
+                if (fill.type === 'SOLID') {
+                    var c = fill.color || {};
+                    return {
+                        type: 'SOLID',
+                        color: {
+                            r: clamp(c.r || 0),
+                            g: clamp(c.g || 0),
+                            b: clamp(c.b || 0)
+                        },
+                        opacity: fill.opacity !== undefined ? clamp(fill.opacity) : 1
+                    };
+                }
 
-                    return fill;
-                }).filter(Boolean);
+                if (fill.type === 'GRADIENT_LINEAR' || fill.type === 'GRADIENT_RADIAL' ||
+                    fill.type === 'GRADIENT_ANGULAR' || fill.type === 'GRADIENT_DIAMOND') {
+                    return {
+                        type: fill.type,
+                        gradientStops: (fill.gradientStops || []).map(function (stop) {
+                            var sc = stop.color || {};
+                            return {
+                                color: {
+                                    r: clamp(sc.r || 0),
+                                    g: clamp(sc.g || 0),
+                                    b: clamp(sc.b || 0),
+                                    a: sc.a !== undefined ? clamp(sc.a) : 1
+                                },
+                                position: clamp(stop.position || 0)
+                            };
+                        }
+                        ),
+                        gradientTransform: fill.gradientHandlePositions
+                            ? handlePositionsToTransform(fill.gradientHandlePositions, fill.type)
+                            : [[1, 0, 0], [0, 1, 0]]
+                    };
+                }
+
+                if (fill.type === 'IMAGE') {
+                    return createImagePaint(fill);
+                }
+
+                return fill;
+            }
+
+            function createImagePaint(fill) {
+                if (!imageSource(fill) || options.skipImages) return null;
+                try {
+                    const image = createImageFrom(fill, 'image');
+                    const paint = {
+                        type: 'IMAGE',
+                        scaleMode: fill.scaleMode || 'FILL',
+                        imageHash: image.hash
+                    };
+                    if (paint.scaleMode === 'CROP' && fill.imageTransform) {
+                        paint.imageTransform = fill.imageTransform;
+                    }
+                    if (paint.scaleMode === 'TILE' && fill.scalingFactor) {
+                        paint.scalingFactor = fill.scalingFactor;
+                    }
+                    return paint;
+                } catch (e) {
+                    console.error('Background image error:', e);
+                    return null;
+                }
             }
 
-            function handlePositionsToTransform(handles) {
-                // Figma gradients use a 2x3 affine transform matrix
-                // handles[0] = start, handles[1] = end, handles[2] = width handle
+            function handlePositionsToTransform(handles, type) {
+                // Figma gradients use a 2x3 affine transform matrix that maps the layer's
+                // normalized space into gradient space, where a linear gradient runs from
+                // (0, 0.5) to (1, 0.5) and the other kinds are centered on (0.5, 0.5) with radius 0.5.
+                // handles[0] = start (or center), handles[1] = end, handles[2] = width handle
                 if (!handles || handles.length < 3) {
                     return [[1, 0, 0], [0, 1, 0]];
                 }
@@ -441,28 +1207,199 @@ figma.ui.onmessage = async (msg) => {
                 const end = handles[1];
                 const width = handles[2];
 
-                // Direction vector
-                const dx = end.x - start.x;
-                const dy = end.y - start.y;
-
-                // Width vector  
-                const wx = width.x - start.x;
-                const wy = width.y - start.y;
+                // Gradient space → layer space, built from where the handles land
+                let a, b, c, d, e, f;
+                if (type === 'GRADIENT_LINEAR') {
+                    a = end.x - start.x;
+                    d = end.y - start.y;
+                    b = 2 * (width.x - start.x);
+                    e = 2 * (width.y - start.y);
+                    c = start.x - b / 2;
+                    f = start.y - e / 2;
+                } else {
+                    a = 2 * (end.x - start.x);
+                    d = 2 * (end.y - start.y);
+                    b = 2 * (width.x - start.x);
+                    e = 2 * (width.y - start.y);
+                    c = start.x - (a + b) / 2;
+                    f = start.y - (d + e) / 2;
+                }
 
+                // ...inverted, since Figma wants layer space → gradient space
+                const det = a * e - b * d;
+                if (Math.abs(det) < 1e-9) {
+                    return [[1, 0, 0], [0, 1, 0]];
+                }
                 return [
-                    [dx, wx, start.x],
-                    [dy, wy, start.y]
+                    [e / det, -b / det, (b * f - e * c) / det],
+                    [-d / det, a / det, (d * c - a * f) / det]
                 ];
             }
 
+            function applyAutoLayout(frame, node) {
+                if (node.layoutMode !== 'HORIZONTAL' && node.layoutMode !== 'VERTICAL') return;
+
+                frame.layoutMode = node.layoutMode;
+                frame.primaryAxisSizingMode = 'FIXED';
+                frame.counterAxisSizingMode = 'FIXED';
+
+                if (node.layoutWrap === 'WRAP' && node.layoutMode === 'HORIZONTAL') {
+                    frame.layoutWrap = 'WRAP';
+                    frame.counterAxisSpacing = node.counterAxisSpacing || 0;
+                }
+
+                frame.itemSpacing = node.itemSpacing || 0;
+                frame.paddingTop = node.paddingTop || 0;
+                frame.paddingRight = node.paddingRight || 0;
+                frame.paddingBottom = node.paddingBottom || 0;
+                frame.paddingLeft = node.paddingLeft || 0;
+                frame.primaryAxisAlignItems = node.primaryAxisAlignItems || 'MIN';
+                frame.counterAxisAlignItems = node.counterAxisAlignItems || 'MIN';
+            }
+
+            function applyLayoutSizing(figmaNode, node, parent) {
+                const inAutoLayout = parent && parent.layoutMode && parent.layoutMode !== 'NONE';
+                try {
+                    if (inAutoLayout && node.layoutPositioning === 'ABSOLUTE') {
+                        figmaNode.layoutPositioning = 'ABSOLUTE';
+                        // Absolute children keep the scraped coordinates
+                        if (node.x !== undefined) figmaNode.x = node.x;
+                        if (node.y !== undefined) figmaNode.y = node.y;
+                        return;
+                    }
+
+                    // FILL needs an auto-layout parent; HUG needs auto-layout on the node itself
+                    const canFill = inAutoLayout;
+                    const canHug = figmaNode.type === 'FRAME' && figmaNode.layoutMode !== 'NONE';
+                    for (const key of ['layoutSizingHorizontal', 'layoutSizingVertical']) {
+                        if ((node[key] === 'FILL' && canFill) || (node[key] === 'HUG' && canHug)) {
+                            figmaNode[key] = node[key];
+                        }
+                    }
+                } catch (e) {
+                    console.error('Failed to apply layout sizing:', e);
+                }
+            }
+
             function applyStrokes(figmaNode, node) {
                 if (node.strokes && node.strokes.length > 0) {
                     figmaNode.strokes = sanitizeFills(node.strokes);
                     if (node.strokeWeight) {
                         figmaNode.strokeWeight = node.strokeWeight;
                     }
+                    // Borders that differ per side (e.g. a bottom divider only)
+                    if (node.strokeTopWeight !== undefined) {
+                        figmaNode.strokeTopWeight = node.strokeTopWeight;
+                        figmaNode.strokeRightWeight = node.strokeRightWeight;
+                        figmaNode.strokeBottomWeight = node.strokeBottomWeight;
+                        figmaNode.strokeLeftWeight = node.strokeLeftWeight;
+                    }
                     figmaNode.strokeAlign = node.strokeAlign || 'INSIDE';
+                    applyDashPattern(figmaNode, node);
+                }
+            }
+
+            function applyDashPattern(figmaNode, stroke) {
+                if (stroke.dashPattern) figmaNode.dashPattern = stroke.dashPattern;
+                if (stroke.strokeCap) {
+                    try {
+                        figmaNode.strokeCap = stroke.strokeCap;
+                    } catch (e) {
+                        // Not every node type has caps; the dashes alone still read as dotted
+                    }
+                }
+            }
+
+            // CSS outline with an offset (or on top of a border) → a ring layer that
+            // follows the node's corners. It is placed inside the node unless the node
+            // clips it, in which case it goes right above the node in its parent.
+            function applyOutline(figmaNode, node, parent) {
+                const outline = node.outline;
+                const ring = figma.createFrame();
+                ring.name = 'outline';
+                ring.fills = [];
+                ring.strokes = sanitizeFills([outline.color]);
+                ring.strokeWeight = outline.weight;
+                ring.strokeAlign = 'OUTSIDE';
+                applyDashPattern(ring, outline);
+                ring.resize(
+                    Math.max(figmaNode.width + outline.offset * 2, 1),
+                    Math.max(figmaNode.height + outline.offset * 2, 1)
+                );
+                for (const corner of ['topLeftRadius', 'topRightRadius', 'bottomRightRadius', 'bottomLeftRadius']) {
+                    if (node[corner]) ring[corner] = Math.max(node[corner] + outline.offset, 0);
+                }
+
+                const clipped = figmaNode.clipsContent && outline.offset + outline.weight > 0;
+                let container = null;
+                let x = -outline.offset;
+                let y = -outline.offset;
+                if (typeof figmaNode.appendChild === 'function' && !clipped) {
+                    container = figmaNode;
+                    container.appendChild(ring);
+                } else if (parent && typeof parent.insertChild === 'function') {
+                    container = parent;
+                    container.insertChild(container.children.indexOf(figmaNode) + 1, ring);
+                    x += figmaNode.x;
+                    y += figmaNode.y;
                 }
+                if (!container) {
+                    ring.remove();
+                    return;
+                }
+                if (container.layoutMode && container.layoutMode !== 'NONE') {
+                    ring.layoutPositioning = 'ABSOLUTE';
+                }
+                ring.x = x;
+                ring.y = y;
+            }
+
+            // Splits a CSS matrix into what Figma can hold: scale is applied to the layer
+            // and its contents with rescale(), while rotation, skew and mirroring go into
+            // relativeTransform. M = R(angle) · [[1, skew], [0, flip]] · diag(scaleX, scaleY)
+            function decomposeTransform(m) {
+                const [[a, c], [b, d]] = m;
+                const scaleX = Math.hypot(a, b);
+                const angle = Math.atan2(b, a);
+                const cos = Math.cos(angle);
+                const sin = Math.sin(angle);
+                const shear = cos * c + sin * d;
+                const column = cos * d - sin * c;
+                const scaleY = Math.abs(column);
+                const flip = column < 0 ? -1 : 1;
+                const skew = scaleY ? shear / scaleY : 0;
+                return {
+                    scaleX: scaleX,
+                    scaleY: scaleY,
+                    matrix: [[cos, cos * skew - sin * flip], [sin, sin * skew + cos * flip]]
+                };
+            }
+
+            // Instances start out at the size their main component was scaled to,
+            // so only the difference is applied to them
+            function applyTransform(figmaNode, node, mainTransform) {
+                const parts = decomposeTransform(node.transform);
+                const base = mainTransform ? decomposeTransform(mainTransform) : { scaleX: 1, scaleY: 1 };
+
+                // Uniform scale keeps text, strokes and children proportional;
+                // the rest of a non-uniform scale only stretches the layer itself
+                const uniform = Math.max(Math.min(parts.scaleX, parts.scaleY), 0.01);
+                const factor = uniform / Math.max(Math.min(base.scaleX, base.scaleY), 0.01);
+                if (Math.abs(factor - 1) > 0.001 && typeof figmaNode.rescale === 'function') {
+                    figmaNode.rescale(factor);
+                }
+                if (Math.abs(parts.scaleX - parts.scaleY) > 0.001) {
+                    figmaNode.resize(
+                        Math.max((node.width || 1) * parts.scaleX, 0.01),
+                        Math.max((node.height || 1) * parts.scaleY, 0.01)
+                    );
+                }
+
+                const [[a, c], [b, d]] = parts.matrix;
+                figmaNode.relativeTransform = [
+                    [a, c, node.transform[0][2]],
+                    [b, d, node.transform[1][2]]
+                ];
             }
 
             function applyCornerRadius(figmaNode, node) {
@@ -477,70 +1414,251 @@ figma.ui.onmessage = async (msg) => {
                 }
             }
 
+            function sanitizeEffects(effects) {
+                return (effects || []).map(function (effect) {
+                    if (effect.type === 'LAYER_BLUR' || effect.type === 'BACKGROUND_BLUR') {
+                        return {
+                            type: effect.type,
+                            radius: Math.max(effect.radius || 0, 0),
+                            visible: true
+                        };
+                    }
+                    var ec = effect.color || {};
+                    var eo = effect.offset || {};
+                    return {
+                        type: effect.type,
+                        color: {
+                            r: clamp(ec.r || 0),
+                            g: clamp(ec.g || 0),
+                            b: clamp(ec.b || 0),
+                            a: ec.a !== undefined ? clamp(ec.a) : 1
+                        },
+                        offset: { x: eo.x || 0, y: eo.y || 0 },
+                        radius: Math.max(effect.radius || 0, 0),
+                        spread: effect.spread || 0,
+                        visible: true,
+                        blendMode: 'NORMAL'
+                    };
+                });
+            }
+
             function applyEffects(figmaNode, node) {
                 if (node.effects && node.effects.length > 0) {
                     try {
-                        figmaNode.effects = node.effects.map(function (effect) {
-                            var ec = effect.color || {};
-                            var eo = effect.offset || {};
-                            return {
-                                type: effect.type,
-                                color: {
-                                    r: clamp(ec.r || 0),
-                                    g: clamp(ec.g || 0),
-                                    b: clamp(ec.b || 0),
-                                    a: ec.a !== undefined ? clamp(ec.a) : 1
-                                },
-                                offset: { x: eo.x || 0, y: eo.y || 0 },
-                                radius: Math.max(effect.radius || 0, 0),
-                                spread: effect.spread || 0,
-                                visible: true,
-                                blendMode: 'NORMAL'
-                            };
-                        });
+                        figmaNode.effects = sanitizeEffects(node.effects);
                     } catch (e) {
                         console.error('Failed to apply effects:', e);
                     }
                 }
             }
 
-            function clamp(val, min = 0, max = 1) {
-                return Math.min(Math.max(val, min), max);
+            function bindTokenStyles(figmaNode, refs, mapping) {
+                if (!refs) return;
+                for (const ref of Object.keys(mapping)) {
+                    const style = refs[ref] && designTokens.styles[refs[ref]];
+                    if (!style) continue;
+                    try {
+                        figmaNode[mapping[ref]] = style.id;
+                    } catch (e) {
+                        console.error('Failed to bind style:', e);
+                    }
+                }
             }
 
-            function sanitizeFontFamily(family) {
-                if (!family) return 'Inter';
-                // Remove generic fallbacks and quotes
-                const cleaned = family
-                    .replace(/['"]/g, '')
-                    .split(',')[0]
-                    .trim();
-
-                // Map common CSS system fonts to available Figma fonts
-                const systemFontMap = {
-                    'system-ui': 'Inter',
-                    '-apple-system': 'Inter',
-                    'BlinkMacSystemFont': 'Inter',
-                    'Segoe UI': 'Inter',
-                    'ui-sans-serif': 'Inter',
-                    'ui-serif': 'Georgia',
-                    'ui-monospace': 'Roboto Mono',
-                    'sans-serif': 'Inter',
-                    'serif': 'Georgia',
-                    'monospace': 'Roboto Mono'
-                };
+            function bindRadiusVariable(figmaNode, refs) {
+                const variable = refs && refs.radius && designTokens.variables[refs.radius];
+                if (!variable) return;
+                try {
+                    for (const corner of ['topLeftRadius', 'topRightRadius', 'bottomRightRadius', 'bottomLeftRadius']) {
+                        figmaNode.setBoundVariable(corner, variable);
+                    }
+                } catch (e) {
+                    console.error('Failed to bind radius variable:', e);
+                }
+            }
 
-                return systemFontMap[cleaned] || cleaned;
+            function clamp(val, min = 0, max = 1) {
+                return Math.min(Math.max(val, min), max);
             }
 
         } catch (error) {
-            console.error('Import error:', error);
-            figma.notify(`❌ Import failed: ${error.message}`);
-            sendProgress(`Error: ${error.message}`, 0);
+            await rollBackImport(rollback, startPage);
+            if (error.cancelled) {
+                figma.notify('Import cancelled — the partial import was removed');
+                sendProgress('Import cancelled', 0);
+            } else {
+                console.error('Import error:', error);
+                figma.notify(`❌ Import failed: ${error.message}`);
+                sendProgress(`Error: ${error.message}`, 0);
+            }
+            figma.ui.postMessage({ type: 'import-stopped', cancelled: !!error.cancelled });
+        } finally {
+            activeImport = null;
+        }
+    }
+
+    // Chunked asset transfer: 'transfer-start', then one 'asset-chunk' per slice of
+    // each image, each acknowledged before the UI sends the next
+    if (msg.type === 'transfer-start') {
+        receivedAssets = new Map();
+    }
+
+    if (msg.type === 'asset-chunk') {
+        let bytes = receivedAssets.get(msg.hash);
+        if (!bytes) {
+            bytes = new Uint8Array(msg.total);
+            receivedAssets.set(msg.hash, bytes);
         }
+        bytes.set(msg.bytes, msg.offset);
+        figma.ui.postMessage({ type: 'asset-ack' });
+    }
+
+    if (msg.type === 'cancel-import' && activeImport) {
+        activeImport.cancelled = true;
+        if (activeImport.resume) activeImport.resume();
+    }
+
+    if (msg.type === 'pause-import' && activeImport) {
+        activeImport.paused = true;
+    }
+
+    if (msg.type === 'resume-import' && activeImport) {
+        activeImport.paused = false;
+        if (activeImport.resume) activeImport.resume();
+    }
+
+    if (msg.type === 'check-fonts') {
+        await reportFonts(msg.fonts || [], msg.webFonts || []);
+    }
+
+    if (msg.type === 'list-pages') {
+        figma.ui.postMessage({
+            type: 'pages',
+            pages: figma.root.children.map(page => ({ id: page.id, name: page.name })),
+            current: figma.currentPage.id
+        });
     }
 };
 
+// ============================================================================
+// Fonts — availability report and remembered substitutes
+// ============================================================================
+
+const FONT_MAPPINGS_KEY = 'fontMappings';
+
+function sanitizeFontFamily(family) {
+    if (!family) return 'Inter';
+    // Remove generic fallbacks and quotes
+    const cleaned = family
+        .replace(/['"]/g, '')
+        .split(',')[0]
+        .trim();
+
+    // Map common CSS system fonts to available Figma fonts
+    const systemFontMap = {
+        'system-ui': 'Inter',
+        '-apple-system': 'Inter',
+        'BlinkMacSystemFont': 'Inter',
+        'Segoe UI': 'Inter',
+        'ui-sans-serif': 'Inter',
+        'ui-serif': 'Georgia',
+        'ui-monospace': 'Roboto Mono',
+        'sans-serif': 'Inter',
+        'serif': 'Georgia',
+        'monospace': 'Roboto Mono'
+    };
+
+    return systemFontMap[cleaned] || cleaned;
+}
+
+// Tells the UI which of the design's fonts Figma can't load, with every available
+// family and style to pick a substitute from and the substitutes chosen last time
+async function reportFonts(fonts, webFonts) {
+    const available = {};
+    try {
+        for (const font of await figma.listAvailableFontsAsync()) {
+            const family = font.fontName.family;
+            if (!available[family]) available[family] = [];
+            available[family].push(font.fontName.style);
+        }
+    } catch (e) {
+        console.error('Failed to list available fonts:', e);
+    }
+
+    const missing = [];
+    const seen = new Set();
+    for (const font of fonts) {
+        const family = sanitizeFontFamily(font.family);
+        const style = font.style || 'Regular';
+        const key = `${family}|${style}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        if (available[family] && available[family].includes(style)) continue;
+
+        const webFont = webFonts.find(wf => wf.family === family && wf.figmaFontStyle === style) ||
+            webFonts.find(wf => wf.family === family);
+        missing.push({ key: key, family: family, style: style, source: webFont ? webFont.source : null });
+    }
+
+    let mappings = {};
+    try {
+        mappings = (await figma.clientStorage.getAsync(FONT_MAPPINGS_KEY)) || {};
+    } catch (e) {
+        console.error('Failed to read font mappings:', e);
+    }
+
+    figma.ui.postMessage({
+        type: 'font-report',
+        missing: missing,
+        available: available,
+        mappings: mappings
+    });
+}
+
+// Merges the substitutes chosen for this import into the stored ones and returns them all;
+// a null substitute means the row was cleared and the font goes back to the default fallback
+async function saveFontMappings(chosen) {
+    let mappings = {};
+    try {
+        mappings = (await figma.clientStorage.getAsync(FONT_MAPPINGS_KEY)) || {};
+    } catch (e) {
+        console.error('Failed to read font mappings:', e);
+    }
+    if (chosen && Object.keys(chosen).length > 0) {
+        for (const key of Object.keys(chosen)) {
+            if (chosen[key]) mappings[key] = chosen[key];
+            else delete mappings[key];
+        }
+        try {
+            await figma.clientStorage.setAsync(FONT_MAPPINGS_KEY, mappings);
+        } catch (e) {
+            console.error('Failed to save font mappings:', e);
+        }
+    }
+    return mappings;
+}
+
+// Removes what a cancelled or failed import created
+async function rollBackImport(rollback, startPage) {
+    try {
+        // Variants that joined a set went with it
+        for (const node of rollback.nodes) {
+            if (!node.removed) node.remove();
+        }
+        // The current page can't be removed
+        if (rollback.pages.includes(figma.currentPage)) {
+            await figma.setCurrentPageAsync(startPage);
+        }
+        rollback.pages.forEach(page => page.remove());
+        if (rollback.tokens) {
+            Object.values(rollback.tokens.styles).forEach(style => style.remove());
+            if (rollback.tokens.collection) rollback.tokens.collection.remove();
+        }
+    } catch (e) {
+        console.error('Failed to roll back import:', e);
+    }
+}
+
 function sendProgress(message, percent) {
     figma.ui.postMessage({
         type: 'progress',
@@ -1,4 +1,5 @@
 const puppeteer = require('puppeteer');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
@@ -9,768 +10,4266 @@ const path = require('path');
 const DEFAULT_URL = 'http://localhost:5173/';
 const DEFAULT_VIEWPORT = { width: 1440, height: 900 };
 
-(async () => {
-    let url = process.argv[2] || DEFAULT_URL;
+// ============================================================================
+// In-browser extraction: walks the DOM and reads getComputedStyle.
+// Serialized into the page by page.evaluate — must not reference outer scope.
+//   options.rootSelector   — walk only this element, positioned at (0, 0)
+//   options.scopeSelector  — like rootSelector, but keeps page metadata sized to the element
+//   options.stateAttribute — attribute tagging elements whose states are captured
+//   options.maxNodes       — node budget for the walk (default 40000)
+// ============================================================================
+function extractDesignData(options = {}) {
+    // Security: Limit total nodes to prevent DoS/Crash on massive pages
+    const MAX_NODES = options.maxNodes > 0 ? options.maxNodes : 40000;
+    let totalNodes = 0;
+
+    // Offset of the document being walked within the top-level viewport (non-zero inside iframes)
+    let frameOffset = { x: 0, y: 0 };
+
+    // --- Color Parsing Helpers ---
+    // Chrome serializes computed colors as rgb()/rgba() for sRGB values and keeps
+    // color(), lab(), lch(), oklab(), oklch() (and occasionally color-mix()) for
+    // everything else. All of them are converted to sRGB; colors outside the sRGB
+    // gamut are mapped into it and reported in `warnings`.
+
+    const MAX_COLOR_WARNINGS = 50;
+    const colorWarnings = new Set();
+
+    const COLOR_FUNCTION_PATTERN = /(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color-mix|color)\(/gi;
+
+    function multiplyMatrix(m, v) {
+        return [
+            m[0][0] * v[0] + m[0][1] * v[1] + m[0][2] * v[2],
+            m[1][0] * v[0] + m[1][1] * v[1] + m[1][2] * v[2],
+            m[2][0] * v[0] + m[2][1] * v[1] + m[2][2] * v[2]
+        ];
+    }
+
+    // Matrices and transfer functions from CSS Color 4; XYZ is relative to D65
+    const D50_TO_D65 = [
+        [0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+        [-0.028369706963208136, 1.0099954580058226, 0.021041398966943008],
+        [0.012314001688319899, -0.020507696433477912, 1.3303659366080753]
+    ];
+    const D65_TO_D50 = [
+        [1.0479298208405488, 0.022946793341019088, -0.05019222954313557],
+        [0.029627815688159344, 0.990434484573249, -0.01707382502938514],
+        [-0.009243058152591178, 0.015055144896577895, 0.7518742899580008]
+    ];
+    const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+    function invertMatrix(m) {
+        const [[a, b, c], [d, e, f], [g, h, i]] = m;
+        const A = e * i - f * h, B = f * g - d * i, C = d * h - e * g;
+        const det = a * A + b * B + c * C;
+        return [
+            [A / det, (c * h - b * i) / det, (b * f - c * e) / det],
+            [B / det, (a * i - c * g) / det, (c * d - a * f) / det],
+            [C / det, (b * g - a * h) / det, (a * e - b * d) / det]
+        ];
+    }
+
+    function signedPow(value, exponent) {
+        return Math.sign(value) * Math.pow(Math.abs(value), exponent);
+    }
+
+    const srgbTransfer = {
+        toLinear: c => Math.abs(c) <= 0.04045 ? c / 12.92 : signedPow((Math.abs(c) + 0.055) / 1.055, 2.4) * Math.sign(c),
+        fromLinear: c => Math.abs(c) <= 0.0031308 ? c * 12.92 : (1.055 * Math.pow(Math.abs(c), 1 / 2.4) - 0.055) * Math.sign(c)
+    };
+    const REC2020_ALPHA = 1.09929682680944;
+    const REC2020_BETA = 0.018053968510807;
+
+    // RGB spaces: linear-light matrix to XYZ and a transfer function
+    function rgbSpace(toXyzMatrix, transfer, whiteIsD50) {
+        const fromXyzMatrix = invertMatrix(toXyzMatrix);
+        const identity = { toLinear: c => c, fromLinear: c => c };
+        const t = transfer || identity;
+        return {
+            toXyz: coords => {
+                const xyz = multiplyMatrix(toXyzMatrix, coords.map(t.toLinear));
+                return whiteIsD50 ? multiplyMatrix(D50_TO_D65, xyz) : xyz;
+            },
+            fromXyz: xyz => multiplyMatrix(fromXyzMatrix, whiteIsD50 ? multiplyMatrix(D65_TO_D50, xyz) : xyz)
+                .map(t.fromLinear)
+        };
+    }
+
+    const SRGB_TO_XYZ = [
+        [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+        [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+        [0.01933081871559182, 0.11919477979462598, 0.9505321522496607]
+    ];
+
+    const OKLAB_TO_LMS = [
+        [1.0, 0.3963377773761749, 0.2158037573099136],
+        [1.0, -0.1055613458156586, -0.0638541728258133],
+        [1.0, -0.0894841775298119, -1.2914855480194092]
+    ];
+    const LMS_TO_XYZ = [
+        [1.2268798758459243, -0.5578149944602171, 0.2813910456659647],
+        [-0.0405757452148008, 1.1122868032803170, -0.0717110580655164],
+        [-0.0763729366746601, -0.4214933324022432, 1.5869240198367816]
+    ];
+    const XYZ_TO_LMS = invertMatrix(LMS_TO_XYZ);
+    const LMS_TO_OKLAB = invertMatrix(OKLAB_TO_LMS);
+
+    const LAB_KAPPA = 24389 / 27;
+    const LAB_EPSILON = 216 / 24389;
+
+    function labToXyz([L, a, b]) {
+        const f1 = (L + 16) / 116;
+        const f0 = a / 500 + f1;
+        const f2 = f1 - b / 200;
+        const xyz = [
+            Math.pow(f0, 3) > LAB_EPSILON ? Math.pow(f0, 3) : (116 * f0 - 16) / LAB_KAPPA,
+            L > LAB_KAPPA * LAB_EPSILON ? Math.pow(f1, 3) : L / LAB_KAPPA,
+            Math.pow(f2, 3) > LAB_EPSILON ? Math.pow(f2, 3) : (116 * f2 - 16) / LAB_KAPPA
+        ].map((v, i) => v * D50_WHITE[i]);
+        return multiplyMatrix(D50_TO_D65, xyz);
+    }
+
+    function xyzToLab(xyz) {
+        const f = multiplyMatrix(D65_TO_D50, xyz)
+            .map((v, i) => v / D50_WHITE[i])
+            .map(v => v > LAB_EPSILON ? Math.cbrt(v) : (LAB_KAPPA * v + 16) / 116);
+        return [116 * f[1] - 16, 500 * (f[0] - f[1]), 200 * (f[1] - f[2])];
+    }
+
+    function oklabToXyz(lab) {
+        return multiplyMatrix(LMS_TO_XYZ, multiplyMatrix(OKLAB_TO_LMS, lab).map(v => v * v * v));
+    }
+
+    function xyzToOklab(xyz) {
+        return multiplyMatrix(LMS_TO_OKLAB, multiplyMatrix(XYZ_TO_LMS, xyz).map(Math.cbrt));
+    }
+
+    // Polar forms store [lightness, chroma, hue in degrees]
+    function toPolar([l, a, b]) {
+        const hue = (Math.atan2(b, a) * 180 / Math.PI + 360) % 360;
+        return [l, Math.sqrt(a * a + b * b), hue];
+    }
+
+    function fromPolar([l, c, h]) {
+        const rad = (h || 0) * Math.PI / 180;
+        return [l, c * Math.cos(rad), c * Math.sin(rad)];
+    }
+
+    function hslToSrgb([h, s, l]) {
+        const hue = (((h || 0) % 360) + 360) % 360;
+        const f = n => {
+            const k = (n + hue / 30) % 12;
+            return l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        };
+        return [f(0), f(8), f(4)];
+    }
+
+    function srgbToHsl([r, g, b]) {
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const l = (max + min) / 2;
+        const d = max - min;
+        if (d === 0) return [0, 0, l];
+        const s = l === 0 || l === 1 ? 0 : (max - l) / Math.min(l, 1 - l);
+        let h;
+        if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+        else if (max === g) h = (b - r) / d + 2;
+        else h = (r - g) / d + 4;
+        return [h * 60, s, l];
+    }
+
+    function hwbToSrgb([h, w, bl]) {
+        if (w + bl >= 1) {
+            const gray = w / (w + bl);
+            return [gray, gray, gray];
+        }
+        return hslToSrgb([h, 1, 0.5]).map(c => c * (1 - w - bl) + w);
+    }
+
+    function srgbToHwb(rgb) {
+        const [h] = srgbToHsl(rgb);
+        return [h, Math.min(...rgb), 1 - Math.max(...rgb)];
+    }
+
+    const srgb = rgbSpace(SRGB_TO_XYZ, srgbTransfer);
+
+    // Every supported space converts to and from XYZ (D65)
+    const COLOR_SPACES = {
+        'srgb': srgb,
+        'srgb-linear': rgbSpace(SRGB_TO_XYZ),
+        'display-p3': rgbSpace([
+            [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+            [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+            [0.0, 0.04511338185890264, 1.043944368900976]
+        ], srgbTransfer),
+        'a98-rgb': rgbSpace([
+            [0.5766690429101305, 0.1855582379065463, 0.1882286462349947],
+            [0.29734497525053605, 0.6273635662554661, 0.0752914584939978],
+            [0.02703136138641234, 0.07068885253582723, 0.9913375368376388]
+        ], { toLinear: c => signedPow(c, 563 / 256), fromLinear: c => signedPow(c, 256 / 563) }),
+        'prophoto-rgb': rgbSpace([
+            [0.7977604896723027, 0.13518583717574031, 0.0313493495815248],
+            [0.2880711282292934, 0.7118432178101014, 0.00008565396060525902],
+            [0.0, 0.0, 0.8251046025104601]
+        ], {
+            toLinear: c => Math.abs(c) <= 16 / 512 ? c / 16 : signedPow(c, 1.8),
+            fromLinear: c => Math.abs(c) >= 1 / 512 ? signedPow(c, 1 / 1.8) : 16 * c
+        }, true),
+        'rec2020': rgbSpace([
+            [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+            [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+            [0.0, 0.028072693049087428, 1.060985057710791]
+        ], {
+            toLinear: c => Math.abs(c) < REC2020_BETA * 4.5
+                ? c / 4.5
+                : signedPow((Math.abs(c) + REC2020_ALPHA - 1) / REC2020_ALPHA, 1 / 0.45) * Math.sign(c),
+            fromLinear: c => Math.abs(c) < REC2020_BETA
+                ? c * 4.5
+                : (REC2020_ALPHA * Math.pow(Math.abs(c), 0.45) - (REC2020_ALPHA - 1)) * Math.sign(c)
+        }),
+        'xyz-d65': { toXyz: xyz => xyz, fromXyz: xyz => xyz },
+        'xyz-d50': {
+            toXyz: xyz => multiplyMatrix(D50_TO_D65, xyz),
+            fromXyz: xyz => multiplyMatrix(D65_TO_D50, xyz)
+        },
+        'lab': { toXyz: labToXyz, fromXyz: xyzToLab },
+        'lch': { toXyz: c => labToXyz(fromPolar(c)), fromXyz: xyz => toPolar(xyzToLab(xyz)), hueIndex: 2 },
+        'oklab': { toXyz: oklabToXyz, fromXyz: xyzToOklab },
+        'oklch': { toXyz: c => oklabToXyz(fromPolar(c)), fromXyz: xyz => toPolar(xyzToOklab(xyz)), hueIndex: 2 },
+        'hsl': { toXyz: c => srgb.toXyz(hslToSrgb(c)), fromXyz: xyz => srgbToHsl(srgb.fromXyz(xyz)), hueIndex: 0 },
+        'hwb': { toXyz: c => srgb.toXyz(hwbToSrgb(c)), fromXyz: xyz => srgbToHwb(srgb.fromXyz(xyz)), hueIndex: 0 }
+    };
+    COLOR_SPACES.xyz = COLOR_SPACES['xyz-d65'];
+
+    // --- Gamut mapping (CSS Color 4: reduce OKLCH chroma until the clipped color is close enough) ---
+
+    const GAMUT_EPSILON = 0.0001;
+    // Half an 8-bit step: rounding noise in serialized colors isn't worth a warning
+    const GAMUT_CLIP_TOLERANCE = 0.5 / 255;
+
+    function inSrgbGamut(rgb, tolerance = GAMUT_EPSILON) {
+        return rgb.every(c => c >= -tolerance && c <= 1 + tolerance);
+    }
+
+    function clipToSrgb(rgb) {
+        return rgb.map(c => Math.min(1, Math.max(0, c)));
+    }
+
+    function deltaEOK(a, b) {
+        return Math.sqrt(a.reduce((sum, v, i) => sum + (v - b[i]) * (v - b[i]), 0));
+    }
+
+    // Resolves to { rgb, mapped } with gamma-encoded sRGB channels in 0..1
+    function xyzToSrgbGamut(xyz) {
+        const rgb = srgb.fromXyz(xyz);
+        if (inSrgbGamut(rgb, GAMUT_CLIP_TOLERANCE)) return { rgb: clipToSrgb(rgb), mapped: false };
+
+        const origin = toPolar(xyzToOklab(xyz));
+        if (origin[0] >= 1) return { rgb: [1, 1, 1], mapped: true };
+        if (origin[0] <= 0) return { rgb: [0, 0, 0], mapped: true };
+
+        const JND = 0.02;
+        const oklchToSrgb = lch => srgb.fromXyz(oklabToXyz(fromPolar(lch)));
+        const clippedOklab = rgb2 => xyzToOklab(srgb.toXyz(rgb2));
+
+        let current = origin.slice();
+        let clipped = clipToSrgb(oklchToSrgb(current));
+        if (deltaEOK(clippedOklab(clipped), fromPolar(current)) < JND) {
+            return { rgb: clipped, mapped: true };
+        }
+
+        let min = 0;
+        let max = origin[1];
+        let minInGamut = true;
+        while (max - min > GAMUT_EPSILON) {
+            const chroma = (min + max) / 2;
+            current = [origin[0], chroma, origin[2]];
+            const candidate = oklchToSrgb(current);
+            if (minInGamut && inSrgbGamut(candidate)) {
+                min = chroma;
+                continue;
+            }
+            clipped = clipToSrgb(candidate);
+            const E = deltaEOK(clippedOklab(clipped), fromPolar(current));
+            if (E < JND) {
+                if (JND - E < GAMUT_EPSILON) break;
+                minInGamut = false;
+                min = chroma;
+            } else {
+                max = chroma;
+            }
+        }
+        return { rgb: clipped, mapped: true };
+    }
+
+    // --- CSS color syntax ---
+
+    // Index of the parenthesis closing the one at `open`
+    function findClosingParen(str, open) {
+        let depth = 0;
+        for (let i = open; i < str.length; i++) {
+            if (str[i] === '(') depth++;
+            else if (str[i] === ')' && --depth === 0) return i;
+        }
+        return -1;
+    }
+
+    // First color in a value like a box-shadow: { token, index } or null
+    function findColorToken(str) {
+        COLOR_FUNCTION_PATTERN.lastIndex = 0;
+        const fn = COLOR_FUNCTION_PATTERN.exec(str);
+        const hex = /#[0-9a-f]{3,8}\b/i.exec(str);
+        if (fn && (!hex || fn.index < hex.index)) {
+            const close = findClosingParen(str, fn.index + fn[0].length - 1);
+            if (close > 0) return { token: str.slice(fn.index, close + 1), index: fn.index };
+        }
+        if (hex) return { token: hex[0], index: hex.index };
+        return null;
+    }
+
+    // Split function arguments on commas or whitespace, keeping "/" and nested functions whole
+    function splitColorArgs(inner) {
+        const args = [];
+        let current = '';
+        let depth = 0;
+        for (const ch of inner) {
+            if (ch === '(') depth++;
+            if (ch === ')') depth--;
+            if (depth === 0 && (ch === ',' || ch === '/' || /\s/.test(ch))) {
+                if (current) args.push(current);
+                if (ch === '/') args.push('/');
+                current = '';
+                continue;
+            }
+            current += ch;
+        }
+        if (current) args.push(current);
+        return args;
+    }
+
+    // Number, percentage (scaled so 100% = percentScale) or `none`
+    function parseColorNumber(token, percentScale) {
+        if (token === undefined || token === 'none') return 0;
+        if (token.endsWith('%')) return parseFloat(token) / 100 * percentScale;
+        const value = parseFloat(token);
+        return Number.isFinite(value) ? value : NaN;
+    }
+
+    function parseHue(token) {
+        if (token === undefined || token === 'none') return 0;
+        const value = parseFloat(token);
+        if (token.endsWith('rad')) return value * 180 / Math.PI;
+        if (token.endsWith('grad')) return value * 0.9;
+        if (token.endsWith('turn')) return value * 360;
+        return value;
+    }
+
+    // Color channels as { space, coords, alpha }, or null when unparseable
+    function parseColorValue(str) {
+        const value = str.trim().toLowerCase();
+        if (value === 'transparent') return { space: 'srgb', coords: [0, 0, 0], alpha: 0 };
+
+        if (value.startsWith('#')) {
+            let hex = value.slice(1);
+            if (!/^[0-9a-f]+$/.test(hex) || ![3, 4, 6, 8].includes(hex.length)) return null;
+            if (hex.length <= 4) hex = hex.split('').map(c => c + c).join('');
+            const channels = hex.match(/../g).map(h => parseInt(h, 16) / 255);
+            return { space: 'srgb', coords: channels.slice(0, 3), alpha: channels.length === 4 ? channels[3] : 1 };
+        }
+
+        const fnMatch = value.match(/^([a-z-]+)\((.*)\)$/);
+        if (!fnMatch) return null;
+        const name = fnMatch[1];
+        if (name === 'color-mix') return parseColorMix(fnMatch[2]);
+
+        const args = splitColorArgs(fnMatch[2]);
+        const slash = args.indexOf('/');
+        let channels = slash >= 0 ? args.slice(0, slash) : args;
+        let alphaToken = slash >= 0 ? args[slash + 1] : undefined;
+        // Legacy comma syntax carries alpha as a fourth argument
+        if (slash < 0 && channels.length === 4 && name !== 'color') {
+            alphaToken = channels[3];
+            channels = channels.slice(0, 3);
+        }
+        const alpha = alphaToken === undefined ? 1 : parseColorNumber(alphaToken, 1);
+
+        let space;
+        let coords;
+        switch (name) {
+            case 'rgb':
+            case 'rgba':
+                space = 'srgb';
+                coords = channels.map(c => parseColorNumber(c, 255) / 255);
+                break;
+            case 'hsl':
+            case 'hsla':
+                space = 'hsl';
+                // Saturation and lightness may be bare numbers in the modern syntax
+                coords = [parseHue(channels[0]), parseColorNumber(channels[1], 100) / 100, parseColorNumber(channels[2], 100) / 100];
+                break;
+            case 'hwb':
+                space = 'hwb';
+                coords = [parseHue(channels[0]), parseColorNumber(channels[1], 100) / 100, parseColorNumber(channels[2], 100) / 100];
+                break;
+            case 'lab':
+                space = 'lab';
+                coords = [parseColorNumber(channels[0], 100), parseColorNumber(channels[1], 125), parseColorNumber(channels[2], 125)];
+                break;
+            case 'lch':
+                space = 'lch';
+                coords = [parseColorNumber(channels[0], 100), parseColorNumber(channels[1], 150), parseHue(channels[2])];
+                break;
+            case 'oklab':
+                space = 'oklab';
+                coords = [parseColorNumber(channels[0], 1), parseColorNumber(channels[1], 0.4), parseColorNumber(channels[2], 0.4)];
+                break;
+            case 'oklch':
+                space = 'oklch';
+                coords = [parseColorNumber(channels[0], 1), parseColorNumber(channels[1], 0.4), parseHue(channels[2])];
+                break;
+            case 'color':
+                space = channels[0];
+                coords = channels.slice(1, 4).map(c => parseColorNumber(c, 1));
+                break;
+            default:
+                return null;
+        }
+
+        if (!COLOR_SPACES[space] || !coords || coords.length !== 3 ||
+            coords.some(c => !Number.isFinite(c)) || !Number.isFinite(alpha)) {
+            return null;
+        }
+        return { space, coords, alpha: Math.min(1, Math.max(0, alpha)) };
+    }
+
+    // color-mix(in <space> [<hue-method> hue], <color> [<pct>], <color> [<pct>])
+    function parseColorMix(inner) {
+        const parts = splitGradientParts(inner).map(p => p.trim());
+        if (parts.length !== 3) return null;
+        const method = parts[0].match(/^in\s+([a-z0-9-]+)(?:\s+(shorter|longer|increasing|decreasing)\s+hue)?$/);
+        if (!method || !COLOR_SPACES[method[1]]) return null;
+        const spaceName = method[1];
+        const space = COLOR_SPACES[spaceName];
+
+        const items = parts.slice(1).map(part => {
+            const pct = part.match(/\s([\d.]+)%$|^([\d.]+)%\s/);
+            const colorStr = pct ? part.replace(pct[0], ' ').trim() : part;
+            return { color: parseColorValue(colorStr), pct: pct ? parseFloat(pct[1] || pct[2]) / 100 : null };
+        });
+        if (items.some(item => !item.color)) return null;
+
+        // Percentages normalize to a sum of 1; a sum below 1 scales alpha down
+        let [p1, p2] = items.map(item => item.pct);
+        if (p1 === null && p2 === null) { p1 = 0.5; p2 = 0.5; }
+        else if (p1 === null) p1 = 1 - p2;
+        else if (p2 === null) p2 = 1 - p1;
+        const sum = p1 + p2;
+        if (sum <= 0) return null;
+        const alphaScale = Math.min(sum, 1);
+        p1 /= sum;
+        p2 /= sum;
+
+        const [c1, c2] = items.map(item => space.fromXyz(COLOR_SPACES[item.color.space].toXyz(item.color.coords)));
+        if (space.hueIndex !== undefined) {
+            const h = space.hueIndex;
+            let delta = c2[h] - c1[h];
+            const hueMethod = method[2] || 'shorter';
+            if (hueMethod === 'shorter') {
+                if (delta > 180) c1[h] += 360;
+                else if (delta < -180) c2[h] += 360;
+            } else if (hueMethod === 'longer') {
+                if (delta > 0 && delta < 180) c1[h] += 360;
+                else if (delta > -180 && delta <= 0) c2[h] += 360;
+            } else if (hueMethod === 'increasing' && delta < 0) {
+                c2[h] += 360;
+            } else if (hueMethod === 'decreasing' && delta > 0) {
+                c1[h] += 360;
+            }
+        }
+
+        // Interpolate premultiplied channels (hue is never premultiplied)
+        const a1 = items[0].color.alpha;
+        const a2 = items[1].color.alpha;
+        const alpha = a1 * p1 + a2 * p2;
+        const coords = c1.map((v, i) => {
+            if (i === space.hueIndex) return (v * p1 + c2[i] * p2) % 360;
+            const mixed = v * a1 * p1 + c2[i] * a2 * p2;
+            return alpha > 0 ? mixed / alpha : 0;
+        });
+        return { space: spaceName, coords, alpha: alpha * alphaScale };
+    }
+
+    function parseColor(colorStr) {
+        if (!colorStr || colorStr === 'transparent' || colorStr === 'rgba(0, 0, 0, 0)') {
+            return null;
+        }
+        const parsed = parseColorValue(colorStr);
+        if (!parsed) return null;
+
+        // sRGB input needs no round trip through XYZ
+        const { rgb, mapped } = parsed.space === 'srgb'
+            ? { rgb: clipToSrgb(parsed.coords), mapped: !inSrgbGamut(parsed.coords, GAMUT_CLIP_TOLERANCE) }
+            : xyzToSrgbGamut(COLOR_SPACES[parsed.space].toXyz(parsed.coords));
+        if (mapped && colorWarnings.size < MAX_COLOR_WARNINGS) {
+            colorWarnings.add(`Color ${colorStr} is outside sRGB and was gamut-mapped`);
+        }
+        return { r: rgb[0], g: rgb[1], b: rgb[2], a: parsed.alpha };
+    }
+
+    function colorToFigmaFill(color) {
+        if (!color) return null;
+        return {
+            type: 'SOLID',
+            color: { r: color.r, g: color.g, b: color.b },
+            opacity: color.a
+        };
+    }
+
+    // --- Gradient Parsing ---
+    // Each background layer becomes one Figma gradient paint. Geometry is worked out
+    // in pixels against the element box, then expressed as Figma handle positions
+    // (normalized to width/height), so non-square elements keep the CSS angles.
+
+    // Figma has no repeating gradients; tiled stops are capped at this many
+    const MAX_REPEATED_STOPS = 200;
+
+    function parseGradient(bgImage, width, height) {
+        if (!bgImage || bgImage === 'none') return null;
+        const match = bgImage.trim().match(/^(repeating-)?(linear|radial|conic)-gradient\(/i);
+        if (!match) return null;
+        const close = findClosingParen(bgImage.trim(), match[0].length - 1);
+        if (close < 0) return null;
+
+        const args = splitGradientParts(bgImage.trim().slice(match[0].length, close)).map(p => p.trim());
+        const box = { width: Math.max(width || 1, 1), height: Math.max(height || 1, 1) };
+        const repeating = Boolean(match[1]);
+        const kind = match[2].toLowerCase();
+
+        if (kind === 'linear') return parseLinearGradient(args, box, repeating);
+        if (kind === 'radial') return parseRadialGradient(args, box, repeating);
+        return parseConicGradient(args, box, repeating);
+    }
+
+    // A prelude argument (direction, shape, position) is anything that doesn't start with a color
+    function hasGradientPrelude(args) {
+        if (args.length === 0) return false;
+        const token = findColorToken(args[0]);
+        return !(token && token.index === 0) && !/^(transparent|currentcolor)\b/i.test(args[0]);
+    }
+
+    // Pixel length from px, %, or calc(% ± px); `reference` is the 100% length
+    function resolveLength(token, reference) {
+        if (!token) return null;
+        const calc = token.match(/^calc\(\s*(-?[\d.]+)%\s*([+-])\s*(-?[\d.]+)px\s*\)$/);
+        if (calc) {
+            const px = parseFloat(calc[3]) * (calc[2] === '-' ? -1 : 1);
+            return parseFloat(calc[1]) / 100 * reference + px;
+        }
+        if (token.endsWith('%')) return parseFloat(token) / 100 * reference;
+        const value = parseFloat(token);
+        return Number.isFinite(value) ? value : null;
+    }
+
+    function parseAngle(token) {
+        const match = token && token.match(/^(-?[\d.]+)(deg|rad|grad|turn)$/);
+        return match ? parseHue(token) : null;
+    }
+
+    // <position> after `at`: one to four values of keywords and lengths → pixels
+    function parseGradientPosition(tokens, box) {
+        const center = { x: box.width / 2, y: box.height / 2 };
+        if (!tokens || tokens.length === 0) return center;
+
+        const KEYWORDS = { left: ['x', 0], right: ['x', 1], top: ['y', 0], bottom: ['y', 1] };
+        const result = {};
+        let pendingAxis = null;
+        const positional = [];
+        for (const token of tokens) {
+            if (KEYWORDS[token]) {
+                const [axis, fraction] = KEYWORDS[token];
+                result[axis] = fraction * (axis === 'x' ? box.width : box.height);
+                pendingAxis = { axis, fromEnd: fraction === 1 };
+            } else if (token === 'center') {
+                positional.push('center');
+                pendingAxis = null;
+            } else if (pendingAxis) {
+                // Edge offsets: "right 10px" measures from the right edge
+                const size = pendingAxis.axis === 'x' ? box.width : box.height;
+                const offset = resolveLength(token, size);
+                result[pendingAxis.axis] = pendingAxis.fromEnd ? size - offset : offset;
+                pendingAxis = null;
+            } else {
+                positional.push(token);
+            }
+        }
+
+        // Unkeyed values fill x first, then y
+        for (const token of positional) {
+            const axis = result.x === undefined ? 'x' : 'y';
+            if (result[axis] !== undefined) break;
+            const size = axis === 'x' ? box.width : box.height;
+            result[axis] = token === 'center' ? size / 2 : resolveLength(token, size);
+        }
+        return {
+            x: result.x === undefined || result.x === null ? center.x : result.x,
+            y: result.y === undefined || result.y === null ? center.y : result.y
+        };
+    }
+
+    // Color stops → [{ color, position }] with positions as fractions of `lineLength`;
+    // `toFraction(token)` converts angle tokens for conic gradients
+    function parseGradientStops(parts, lineLength, toFraction) {
+        const raw = [];
+        for (const part of parts) {
+            const colorToken = findColorToken(part);
+            const keyword = part.match(/^(transparent|currentcolor)\b/i);
+            const colorStr = colorToken ? colorToken.token : keyword ? keyword[0] : null;
+            // A bare position is a transition hint; Figma can't express those
+            if (!colorStr) continue;
+
+            const color = /^transparent$/i.test(colorStr) || colorStr === 'rgba(0, 0, 0, 0)'
+                ? { r: 0, g: 0, b: 0, a: 0 }
+                : parseColor(colorStr);
+            if (!color) continue;
+
+            // "red 10% 20%" is shorthand for two stops
+            const positions = part.replace(colorStr, ' ').trim().split(/\s+(?![^(]*\))/).filter(Boolean);
+            const fractions = positions.map(token => {
+                if (toFraction) {
+                    const converted = toFraction(token);
+                    if (converted !== null) return converted;
+                }
+                const px = resolveLength(token, lineLength);
+                return px === null ? null : px / lineLength;
+            });
+            if (fractions.length === 0) fractions.push(null);
+            fractions.forEach(position => raw.push({ color, position }));
+        }
+        if (raw.length < 2) return null;
+
+        // CSS fix-up: first and last default to 0/1, positions never decrease,
+        // and runs of unpositioned stops are spaced evenly
+        if (raw[0].position === null) raw[0].position = 0;
+        if (raw[raw.length - 1].position === null) raw[raw.length - 1].position = 1;
+        let max = raw[0].position;
+        for (const stop of raw) {
+            if (stop.position !== null) {
+                stop.position = Math.max(stop.position, max);
+                max = stop.position;
+            }
+        }
+        for (let i = 1; i < raw.length; i++) {
+            if (raw[i].position !== null) continue;
+            let j = i;
+            while (raw[j].position === null) j++;
+            const from = raw[i - 1].position;
+            const step = (raw[j].position - from) / (j - i + 1);
+            for (let k = i; k < j; k++) raw[k].position = from + step * (k - i + 1);
+        }
+
+        // Fully transparent stops take their neighbour's hue, so fades don't pass through
+        // black (CSS interpolates in premultiplied alpha, Figma doesn't)
+        raw.forEach((stop, i) => {
+            if (stop.color.a > 0) return;
+            const neighbour = raw.slice(i + 1).find(s => s.color.a > 0) ||
+                raw.slice(0, i).reverse().find(s => s.color.a > 0);
+            if (neighbour) stop.color = { r: neighbour.color.r, g: neighbour.color.g, b: neighbour.color.b, a: 0 };
+        });
+
+        return raw.map(stop => ({ color: Object.assign({}, stop.color), position: stop.position }));
+    }
+
+    function mixStopColor(a, b, t) {
+        return {
+            r: a.color.r + (b.color.r - a.color.r) * t,
+            g: a.color.g + (b.color.g - a.color.g) * t,
+            b: a.color.b + (b.color.b - a.color.b) * t,
+            a: a.color.a + (b.color.a - a.color.a) * t
+        };
+    }
+
+    // Color at `position` along a sorted stop list
+    function sampleStops(stops, position) {
+        if (position <= stops[0].position) return Object.assign({}, stops[0].color);
+        for (let i = 1; i < stops.length; i++) {
+            if (position <= stops[i].position) {
+                const span = stops[i].position - stops[i - 1].position;
+                return mixStopColor(stops[i - 1], stops[i], span > 0 ? (position - stops[i - 1].position) / span : 1);
+            }
+        }
+        return Object.assign({}, stops[stops.length - 1].color);
+    }
+
+    // Tile the stop pattern across 0..1 for repeating-*-gradient
+    function repeatStops(stops) {
+        const first = stops[0].position;
+        const period = stops[stops.length - 1].position - first;
+        if (period <= 0) return stops;
+        const startK = Math.floor(-first / period);
+        const endK = Math.ceil((1 - first) / period);
+        if ((endK - startK + 1) * stops.length > MAX_REPEATED_STOPS) return stops;
+
+        const tiled = [];
+        for (let k = startK; k <= endK; k++) {
+            stops.forEach(stop => tiled.push({ color: stop.color, position: stop.position + k * period }));
+        }
+        return tiled;
+    }
+
+    // Figma stops live in 0..1: clip with interpolated end colors
+    function clampStops(stops) {
+        const inside = stops.filter(stop => stop.position > 0 && stop.position < 1);
+        const result = [{ color: sampleStops(stops, 0), position: 0 }]
+            .concat(inside.map(stop => ({ color: Object.assign({}, stop.color), position: stop.position })))
+            .concat([{ color: sampleStops(stops, 1), position: 1 }]);
+        // Hard edges repeat a position; keep the first color entering and the last leaving
+        return result.filter((stop, i) => i === 0 || i === result.length - 1 ||
+            !(stop.position === result[i - 1].position && stop.position === result[i + 1].position));
+    }
+
+    function finishStops(stops, repeating) {
+        return clampStops(repeating ? repeatStops(stops) : stops);
+    }
+
+    // Pixel-space handles → Figma's normalized handle positions
+    function toHandlePositions(points, box) {
+        return points.map(p => ({ x: p.x / box.width, y: p.y / box.height }));
+    }
+
+    function parseLinearGradient(args, box, repeating) {
+        const { width: W, height: H } = box;
+        let angleDeg = 180; // default: top to bottom
+        let stopArgs = args;
+
+        if (hasGradientPrelude(args)) {
+            const prelude = args[0];
+            const angle = parseAngle(prelude);
+            if (angle !== null) {
+                angleDeg = angle;
+            } else if (prelude.startsWith('to ')) {
+                // Corner directions depend on the aspect ratio: the 50% line joins the other two corners
+                const corner = Math.atan2(H, W) * 180 / Math.PI;
+                const sides = prelude.slice(3).trim().split(/\s+/).sort().join(' ');
+                const DIRECTIONS = {
+                    'top': 0, 'right': 90, 'bottom': 180, 'left': 270,
+                    'right top': corner, 'bottom right': 180 - corner,
+                    'bottom left': 180 + corner, 'left top': 360 - corner
+                };
+                angleDeg = DIRECTIONS[sides] !== undefined ? DIRECTIONS[sides] : 180;
+            }
+            stopArgs = args.slice(1);
+        }
+
+        // Gradient line through the center, long enough that the corners get the end colors
+        const rad = angleDeg * Math.PI / 180;
+        const dir = { x: Math.sin(rad), y: -Math.cos(rad) };
+        const length = Math.abs(W * dir.x) + Math.abs(H * dir.y) || 1;
+
+        const stops = parseGradientStops(stopArgs, length);
+        if (!stops) return null;
+
+        const start = { x: W / 2 - dir.x * length / 2, y: H / 2 - dir.y * length / 2 };
+        const end = { x: W / 2 + dir.x * length / 2, y: H / 2 + dir.y * length / 2 };
+        // Perpendicular handle keeps the isolines at right angles in pixel space
+        const side = { x: start.x - dir.y * length / 2, y: start.y + dir.x * length / 2 };
+
+        return {
+            type: 'GRADIENT_LINEAR',
+            gradientStops: finishStops(stops, repeating),
+            gradientHandlePositions: toHandlePositions([start, end, side], box)
+        };
+    }
+
+    function parseRadialGradient(args, box, repeating) {
+        let stopArgs = args;
+        let shape = 'ellipse';
+        let sizeKeyword = 'farthest-corner';
+        let explicitSize = null;
+        let center = parseGradientPosition(null, box);
+
+        if (hasGradientPrelude(args)) {
+            const tokens = args[0].split(/\s+(?![^(]*\))/);
+            const atIndex = tokens.indexOf('at');
+            const sizeTokens = atIndex >= 0 ? tokens.slice(0, atIndex) : tokens;
+            if (atIndex >= 0) center = parseGradientPosition(tokens.slice(atIndex + 1), box);
+
+            const lengths = [];
+            for (const token of sizeTokens) {
+                if (token === 'circle' || token === 'ellipse') shape = token;
+                else if (/^(closest|farthest)-(side|corner)$/.test(token)) sizeKeyword = token;
+                else if (token) lengths.push(token);
+            }
+            if (lengths.length === 1) {
+                shape = 'circle';
+                explicitSize = { rx: resolveLength(lengths[0], box.width) };
+                explicitSize.ry = explicitSize.rx;
+            } else if (lengths.length >= 2) {
+                explicitSize = { rx: resolveLength(lengths[0], box.width), ry: resolveLength(lengths[1], box.height) };
+            }
+            stopArgs = args.slice(1);
+        }
+
+        // Ending shape radii in pixels
+        let rx;
+        let ry;
+        if (explicitSize) {
+            rx = explicitSize.rx;
+            ry = explicitSize.ry;
+        } else {
+            const dx = [Math.abs(center.x), Math.abs(box.width - center.x)];
+            const dy = [Math.abs(center.y), Math.abs(box.height - center.y)];
+            const nearX = Math.min(...dx), farX = Math.max(...dx);
+            const nearY = Math.min(...dy), farY = Math.max(...dy);
+            if (shape === 'circle') {
+                const radius = {
+                    'closest-side': Math.min(nearX, nearY),
+                    'farthest-side': Math.max(farX, farY),
+                    'closest-corner': Math.hypot(nearX, nearY),
+                    'farthest-corner': Math.hypot(farX, farY)
+                }[sizeKeyword];
+                rx = ry = radius;
+            } else {
+                // Corner sizes keep the matching side's aspect ratio, scaled to pass through the corner
+                const near = sizeKeyword.startsWith('closest');
+                rx = near ? nearX : farX;
+                ry = near ? nearY : farY;
+                if (sizeKeyword.endsWith('corner')) {
+                    rx *= Math.SQRT2;
+                    ry *= Math.SQRT2;
+                }
+            }
+        }
+        rx = Math.max(rx || 0, 0.01);
+        ry = Math.max(ry || 0, 0.01);
+
+        const stops = parseGradientStops(stopArgs, rx);
+        if (!stops) return null;
+
+        // Stops past the ending shape are visible inside the box; grow the ellipse to include them
+        const reach = Math.max(1, stops[stops.length - 1].position);
+        const scaled = stops.map(stop => ({ color: stop.color, position: stop.position / reach }));
+
+        return {
+            type: 'GRADIENT_RADIAL',
+            gradientStops: finishStops(scaled, repeating),
+            gradientHandlePositions: toHandlePositions([
+                center,
+                { x: center.x + rx * reach, y: center.y },
+                { x: center.x, y: center.y + ry * reach }
+            ], box)
+        };
+    }
+
+    function parseConicGradient(args, box, repeating) {
+        let stopArgs = args;
+        let fromDeg = 0;
+        let center = parseGradientPosition(null, box);
+
+        if (hasGradientPrelude(args)) {
+            const tokens = args[0].split(/\s+(?![^(]*\))/);
+            const fromIndex = tokens.indexOf('from');
+            if (fromIndex >= 0) fromDeg = parseAngle(tokens[fromIndex + 1]) || 0;
+            const atIndex = tokens.indexOf('at');
+            if (atIndex >= 0) center = parseGradientPosition(tokens.slice(atIndex + 1), box);
+            stopArgs = args.slice(1);
+        }
+
+        // Conic stops are angles (or percentages of a full turn)
+        const toFraction = token => {
+            const angle = parseAngle(token);
+            if (angle !== null) return angle / 360;
+            return token.endsWith('%') ? parseFloat(token) / 100 : null;
+        };
+        const stops = parseGradientStops(stopArgs, 1, toFraction);
+        if (!stops) return null;
+
+        // Figma sweeps clockwise from the first handle; CSS starts at 12 o'clock + `from`.
+        // Equal pixel radii on both handles keep angles true on non-square boxes.
+        const radius = Math.hypot(box.width, box.height) / 2;
+        const rad = fromDeg * Math.PI / 180;
+        return {
+            type: 'GRADIENT_ANGULAR',
+            gradientStops: finishStops(stops, repeating),
+            gradientHandlePositions: toHandlePositions([
+                center,
+                { x: center.x + Math.sin(rad) * radius, y: center.y - Math.cos(rad) * radius },
+                { x: center.x + Math.cos(rad) * radius, y: center.y + Math.sin(rad) * radius }
+            ], box)
+        };
+    }
+
+    function splitGradientParts(str) {
+        const parts = [];
+        let depth = 0;
+        let current = '';
+        for (const ch of str) {
+            if (ch === '(') depth++;
+            else if (ch === ')') depth--;
+            if (ch === ',' && depth === 0) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        if (current) parts.push(current);
+        return parts;
+    }
+
+    // --- Shadow Parsing ---
+
+    function parseBoxShadow(shadowStr) {
+        if (!shadowStr || shadowStr === 'none') return [];
+
+        const effects = [];
+        // Split by comma, but not commas inside rgb/rgba
+        const shadows = splitGradientParts(shadowStr);
+
+        for (const shadow of shadows) {
+            const trimmed = shadow.trim();
+            const isInner = trimmed.startsWith('inset');
+            const cleaned = trimmed.replace(/^inset\s*/, '');
+
+            // Extract the color (could be at start or end)
+            let color = null;
+            let rest = cleaned;
+
+            // Try extracting the color from the string
+            const colorToken = findColorToken(cleaned);
+            if (colorToken) {
+                color = parseColor(colorToken.token);
+                rest = cleaned.replace(colorToken.token, '').trim();
+            }
+
+            // Parse numeric values: offsetX offsetY blur spread
+            const nums = rest.match(/-?[\d.]+px/g);
+            if (!nums || nums.length < 2) continue;
+
+            const offsetX = parseFloat(nums[0]);
+            const offsetY = parseFloat(nums[1]);
+            const blur = nums[2] ? parseFloat(nums[2]) : 0;
+            const spread = nums[3] ? parseFloat(nums[3]) : 0;
+
+            if (!color) color = { r: 0, g: 0, b: 0, a: 0.25 };
+
+            effects.push({
+                type: isInner ? 'INNER_SHADOW' : 'DROP_SHADOW',
+                color: { r: color.r, g: color.g, b: color.b, a: color.a },
+                offset: { x: offsetX, y: offsetY },
+                radius: blur,
+                spread: spread,
+                visible: true
+            });
+        }
+
+        return effects;
+    }
+
+    // --- Filters and Blend Modes ---
+    // blur() and drop-shadow() have Figma effects; color filters (grayscale, hue-rotate, ...)
+    // don't, so they are listed on the node and reported by the plugin's import log.
+
+    const BLEND_MODES = {
+        'multiply': 'MULTIPLY', 'screen': 'SCREEN', 'overlay': 'OVERLAY',
+        'darken': 'DARKEN', 'lighten': 'LIGHTEN',
+        'color-dodge': 'COLOR_DODGE', 'color-burn': 'COLOR_BURN',
+        'hard-light': 'HARD_LIGHT', 'soft-light': 'SOFT_LIGHT',
+        'difference': 'DIFFERENCE', 'exclusion': 'EXCLUSION',
+        'hue': 'HUE', 'saturation': 'SATURATION', 'color': 'COLOR', 'luminosity': 'LUMINOSITY',
+        'plus-lighter': 'LINEAR_DODGE', 'plus-darker': 'LINEAR_BURN'
+    };
+
+    // Filter amounts at which the function does nothing
+    const NEUTRAL_FILTER_AMOUNTS = {
+        'grayscale': 0, 'sepia': 0, 'invert': 0, 'hue-rotate': 0,
+        'brightness': 1, 'contrast': 1, 'saturate': 1, 'opacity': 1
+    };
+
+    // "blur(4px) drop-shadow(rgb(0 0 0) 1px 2px 3px)" → [{ name, args, text }]
+    function parseFilterList(value) {
+        const functions = [];
+        if (!value || value === 'none') return functions;
+        const pattern = /([a-z-]+)\(/gi;
+        let match;
+        while ((match = pattern.exec(value))) {
+            const open = match.index + match[0].length - 1;
+            const close = findClosingParen(value, open);
+            if (close === -1) break;
+            functions.push({
+                name: match[1].toLowerCase(),
+                args: value.slice(open + 1, close).trim(),
+                text: value.slice(match.index, close + 1)
+            });
+            pattern.lastIndex = close + 1;
+        }
+        return functions;
+    }
+
+    function parseFilterAmount(args) {
+        const value = parseFloat(args);
+        if (!Number.isFinite(value)) return null;
+        if (args.endsWith('%')) return value / 100;
+        return /(deg|rad|grad|turn)$/.test(args) ? parseHue(args) : value;
+    }
+
+    // CSS blurs take a standard deviation; Figma's blur radius is about twice that
+    function blurRadius(args) {
+        return (parseFloat(args) || 0) * 2;
+    }
+
+    function extractFilterEffects(cs, node) {
+        const effects = [];
+        const unsupported = [];
+
+        for (const fn of parseFilterList(cs.filter)) {
+            if (fn.name === 'blur') {
+                const radius = blurRadius(fn.args);
+                if (radius > 0) effects.push({ type: 'LAYER_BLUR', radius, visible: true });
+            } else if (fn.name === 'drop-shadow') {
+                // Same syntax as a box-shadow, minus spread and inset
+                effects.push(...parseBoxShadow(fn.args));
+            } else if (fn.name === 'opacity') {
+                const amount = parseFilterAmount(fn.args);
+                if (amount !== null && amount < 1) {
+                    node.opacity = (node.opacity !== undefined ? node.opacity : 1) * Math.max(amount, 0);
+                }
+            } else if (NEUTRAL_FILTER_AMOUNTS[fn.name] !== parseFilterAmount(fn.args)) {
+                unsupported.push(`filter: ${fn.text}`);
+            }
+        }
+
+        for (const fn of parseFilterList(cs.backdropFilter)) {
+            if (fn.name === 'blur') {
+                const radius = blurRadius(fn.args);
+                if (radius > 0) effects.push({ type: 'BACKGROUND_BLUR', radius, visible: true });
+            } else if (NEUTRAL_FILTER_AMOUNTS[fn.name] !== parseFilterAmount(fn.args)) {
+                unsupported.push(`backdrop-filter: ${fn.text}`);
+            }
+        }
+
+        if (effects.length > 0) node.effects = (node.effects || []).concat(effects);
+        if (unsupported.length > 0) node.unsupportedEffects = unsupported;
+
+        const blendMode = BLEND_MODES[cs.mixBlendMode];
+        if (blendMode) node.blendMode = blendMode;
+    }
+
+    // --- Image URL Extraction ---
+
+    function extractBackgroundImageUrl(bgImage) {
+        if (!bgImage || bgImage === 'none') return null;
+        const urlMatch = bgImage.match(/url\(["']?([^"')]+)["']?\)/);
+        return urlMatch ? urlMatch[1] : null;
+    }
+
+    // --- Text Alignment Mapping ---
+
+    function mapTextAlign(align) {
+        const map = {
+            'left': 'LEFT', 'right': 'RIGHT',
+            'center': 'CENTER', 'justify': 'JUSTIFIED',
+            'start': 'LEFT', 'end': 'RIGHT'
+        };
+        return map[align] || 'LEFT';
+    }
+
+    // --- Text Decoration Mapping ---
+
+    function mapTextDecoration(decoration) {
+        if (!decoration || decoration === 'none') return 'NONE';
+        if (decoration.includes('underline')) return 'UNDERLINE';
+        if (decoration.includes('line-through')) return 'STRIKETHROUGH';
+        return 'NONE';
+    }
+
+    // --- Font Weight to Figma Style ---
+
+    function fontWeightToStyle(weight, fontStyle) {
+        const w = parseInt(weight) || 400;
+        const italic = fontStyle === 'italic';
+
+        let style = 'Regular';
+        if (w <= 100) style = 'Thin';
+        else if (w <= 200) style = 'ExtraLight';
+        else if (w <= 300) style = 'Light';
+        else if (w <= 400) style = 'Regular';
+        else if (w <= 500) style = 'Medium';
+        else if (w <= 600) style = 'SemiBold';
+        else if (w <= 700) style = 'Bold';
+        else if (w <= 800) style = 'ExtraBold';
+        else style = 'Black';
+
+        if (italic) style += ' Italic';
+        return style;
+    }
+
+    // --- Rich Text Runs ---
+
+    function applyTextTransform(text, transform) {
+        if (transform === 'uppercase') return text.toUpperCase();
+        if (transform === 'lowercase') return text.toLowerCase();
+        if (transform === 'capitalize') {
+            return text.replace(/(^|\s)(\S)/g, (m, space, ch) => space + ch.toUpperCase());
+        }
+        return text;
+    }
+
+    function getTextRunStyle(styleEl, root) {
+        const scs = window.getComputedStyle(styleEl);
+
+        // Decorations and links aren't inherited through computed style — look up to the root
+        let textDecoration = 'NONE';
+        let hyperlink = null;
+        for (let cur = styleEl; cur; cur = cur === root ? null : cur.parentElement) {
+            if (textDecoration === 'NONE') {
+                textDecoration = mapTextDecoration(window.getComputedStyle(cur).textDecorationLine);
+            }
+            // Security: only carry over navigable links, never javascript: URLs
+            if (!hyperlink && cur.tagName === 'A' && /^(https?|mailto|tel):/.test(cur.href)) {
+                hyperlink = cur.href;
+            }
+        }
+
+        const color = parseColor(scs.color);
+        const style = {
+            fontFamily: scs.fontFamily.split(',')[0].replace(/['"]/g, '').trim(),
+            figmaFontStyle: fontWeightToStyle(scs.fontWeight, scs.fontStyle),
+            fontSize: parseFloat(scs.fontSize) || 16,
+            fills: color ? [colorToFigmaFill(color)] : [],
+            textDecoration
+        };
+        if (hyperlink) style.hyperlink = hyperlink;
+        return style;
+    }
+
+    function collectTextRuns(root) {
+        const runs = [];
+        const styleCache = new Map();
+        let text = '';
+
+        function styleFor(styleEl) {
+            if (!styleCache.has(styleEl)) styleCache.set(styleEl, getTextRunStyle(styleEl, root));
+            return styleCache.get(styleEl);
+        }
+
+        function append(chunk, styleEl) {
+            if (!chunk) return;
+            runs.push({ start: text.length, end: text.length + chunk.length, style: styleFor(styleEl) });
+            text += chunk;
+        }
+
+        function visit(parent) {
+            const pcs = window.getComputedStyle(parent);
+            const preserveSpaces = /^(pre|pre-wrap|break-spaces)$/.test(pcs.whiteSpace);
+            const preserveBreaks = preserveSpaces || pcs.whiteSpace === 'pre-line';
+
+            for (const child of composedChildNodes(parent)) {
+                if (child.nodeType === Node.TEXT_NODE) {
+                    let chunk = child.data;
+                    if (!preserveSpaces) {
+                        chunk = chunk.replace(preserveBreaks ? /[ \t\f\r]+/g : /[ \t\n\f\r]+/g, ' ');
+                        // Collapsible whitespace also collapses across element boundaries
+                        if (chunk.startsWith(' ') && (text === '' || /[ \n]$/.test(text))) {
+                            chunk = chunk.slice(1);
+                        }
+                    }
+                    append(applyTextTransform(chunk, pcs.textTransform), parent);
+                } else if (child.nodeType === Node.ELEMENT_NODE) {
+                    if (child.tagName === 'BR') {
+                        // A collapsible space before a line break is dropped
+                        const last = runs[runs.length - 1];
+                        if (!preserveSpaces && last && last.end === text.length && text.endsWith(' ')) {
+                            text = text.slice(0, -1);
+                            last.end--;
+                        }
+                        append('\n', parent);
+                    } else if (window.getComputedStyle(child).display !== 'none') {
+                        visit(child);
+                    }
+                }
+            }
+        }
+
+        visit(root);
+
+        // Match innerText.trim() offsets
+        const lead = text.length - text.trimStart().length;
+        const trimmed = text.trim();
+        return {
+            text: trimmed,
+            runs: runs
+                .map(run => ({
+                    start: Math.max(run.start - lead, 0),
+                    end: Math.min(run.end - lead, trimmed.length),
+                    style: run.style
+                }))
+                .filter(run => run.end > run.start)
+        };
+    }
+
+    function extractTextSegments(el, node) {
+        const { text, runs } = collectTextRuns(el);
+        // If our reconstruction disagrees with innerText, keep the single-style node
+        if (text !== node.characters || runs.length === 0) return;
+
+        // Merge neighbouring runs that ended up with the same style
+        const segments = [];
+        for (const run of runs) {
+            const key = JSON.stringify(run.style);
+            const prev = segments[segments.length - 1];
+            if (prev && prev.key === key && prev.end === run.start) {
+                prev.end = run.end;
+            } else {
+                segments.push({ key, start: run.start, end: run.end, style: run.style });
+            }
+        }
+
+        const baseKey = JSON.stringify(getTextRunStyle(el, el));
+        if (segments.length === 1 && segments[0].key === baseKey) {
+            if (segments[0].style.hyperlink) node.hyperlink = segments[0].style.hyperlink;
+            return;
+        }
+
+        node.textSegments = segments.map(seg => Object.assign({ start: seg.start, end: seg.end }, seg.style));
+    }
+
+    // --- Text Layout ---
+    // Figma wraps with its own font metrics, so a heading that just fits in the
+    // browser can gain a line. The browser's line boxes are measured per character:
+    // the spaces it broke at become soft line breaks (one-for-one, so run offsets stay
+    // valid) and the layer can size itself to its text instead of wrapping again.
+
+    const MAX_LINE_PROBE_CHARS = 5000;
+    const SOFT_LINE_BREAK = '\u2028';
+    const TEXT_CASES = { uppercase: 'UPPER', lowercase: 'LOWER', capitalize: 'TITLE' };
+
+    // Boxes of the rendered non-whitespace characters, in text order
+    function measureCharacterBoxes(root) {
+        const boxes = [];
+        const range = document.createRange();
+        (function visit(parent) {
+            for (const child of composedChildNodes(parent)) {
+                if (boxes.length > MAX_LINE_PROBE_CHARS) return;
+                if (child.nodeType === Node.ELEMENT_NODE) {
+                    visit(child);
+                    continue;
+                }
+                if (child.nodeType !== Node.TEXT_NODE) continue;
+                const data = child.data;
+                for (let i = 0; i < data.length; i++) {
+                    const size = data.codePointAt(i) > 0xffff ? 2 : 1;
+                    if (!/\s/.test(data[i])) {
+                        range.setStart(child, i);
+                        range.setEnd(child, i + size);
+                        boxes.push(range.getBoundingClientRect());
+                    }
+                    i += size - 1;
+                }
+            }
+        })(root);
+        return boxes;
+    }
+
+    // A character starts a new line once it sits below the middle of the current one
+    function groupLines(boxes) {
+        const lines = [];
+        boxes.forEach((box, index) => {
+            const line = lines[lines.length - 1];
+            if (!line || box.top >= (line.top + line.bottom) / 2) {
+                lines.push({ top: box.top, bottom: box.bottom, start: index });
+            } else {
+                line.top = Math.min(line.top, box.top);
+                line.bottom = Math.max(line.bottom, box.bottom);
+            }
+        });
+        return lines;
+    }
+
+    // Replaces the space before each browser line start with a soft line break.
+    // Returns null when the text doesn't line up with the measured characters or a
+    // line starts mid-word (hyphenation, long words), which needs an inserted break.
+    function insertSoftBreaks(characters, lines, boxCount) {
+        const starts = new Set(lines.slice(1).map(line => line.start));
+        const chars = Array.from(characters);
+        let visible = 0;
+        for (let i = 0; i < chars.length; i++) {
+            if (/\s/.test(chars[i])) continue;
+            if (starts.has(visible)) {
+                if (chars[i - 1] === ' ') chars[i - 1] = SOFT_LINE_BREAK;
+                else if (chars[i - 1] !== '\n') return null;
+            }
+            visible++;
+        }
+        return visible === boxCount ? chars.join('') : null;
+    }
+
+    // Hard line breaks ("\n") in front of each line after the first; 0 marks a
+    // wrap. Returns null when the text doesn't line up with the measured characters.
+    function countLineBreaks(characters, lines, boxCount) {
+        const starts = new Map(lines.slice(1).map((line, i) => [line.start, i]));
+        const breaks = new Array(lines.length - 1).fill(0);
+        let visible = 0;
+        let pending = 0;
+        for (const ch of characters) {
+            if (ch === '\n') pending++;
+            if (/\s/.test(ch)) continue;
+            if (starts.has(visible)) breaks[starts.get(visible)] = pending;
+            pending = 0;
+            visible++;
+        }
+        return visible === boxCount ? breaks : null;
+    }
+
+    // Block spans and margins open the same extra gap after every paragraph,
+    // which Figma calls paragraph spacing. Uneven gaps are left to the text box.
+    function measureParagraphSpacing(lines, breaks, lineHeight) {
+        const spacings = [];
+        breaks.forEach((count, i) => {
+            if (count === 0) return;
+            // Figma adds the spacing after empty paragraphs too
+            spacings.push((lines[i + 1].top - lines[i].top - count * lineHeight) / count);
+        });
+        if (spacings.length === 0) return 0;
+        const min = Math.min(...spacings);
+        const max = Math.max(...spacings);
+        return min > 0.5 && max - min <= 1 ? Math.round(min * 100) / 100 : 0;
+    }
+
+    function extractTextLayout(el, cs, node, rect) {
+        const textCase = TEXT_CASES[cs.textTransform];
+        if (textCase) node.textCase = textCase;
+        if (cs.overflow !== 'visible') node.clipsContent = true;
+
+        const boxes = measureCharacterBoxes(el);
+        if (boxes.length === 0 || boxes.length > MAX_LINE_PROBE_CHARS) return;
+        const lines = groupLines(boxes);
+        const breaks = countLineBreaks(node.characters, lines, boxes.length);
+
+        // line-height: normal depends on the font, so use what the browser laid out.
+        // Only wrapped lines are a line height apart; paragraph gaps can be wider.
+        const first = lines[0];
+        let lineHeight = node.lineHeight.unit === 'PIXELS' ? node.lineHeight.value : null;
+        if (!lineHeight) {
+            const wraps = lines.slice(1)
+                .map((line, i) => line.top - lines[i].top)
+                .filter((gap, i) => (breaks ? breaks[i] === 0 : true));
+            const measured = wraps.length > 0
+                ? wraps.reduce((sum, gap) => sum + gap, 0) / wraps.length
+                : first.bottom - first.top;
+            lineHeight = Math.round(measured * 100) / 100;
+            node.lineHeight = { unit: 'PIXELS', value: lineHeight };
+        }
+        const paragraphSpacing = breaks ? measureParagraphSpacing(lines, breaks, lineHeight) : 0;
+        if (paragraphSpacing) node.paragraphSpacing = paragraphSpacing;
+
+        const clamp = parseInt(cs.webkitLineClamp, 10);
+        const ellipsis = cs.textOverflow === 'ellipsis' && cs.overflowX !== 'visible' &&
+            !/^(normal|pre-wrap|pre-line|break-spaces)$/.test(cs.whiteSpace);
+        const visibleLines = ellipsis ? 1 : (clamp > 0 ? Math.min(clamp, lines.length) : lines.length);
+
+        // Line boxes are centered on the glyphs' content area (half-leading)
+        const content = contentBox(cs, rect.width, rect.height);
+        const lineTop = first.top - (lineHeight - (first.bottom - first.top)) / 2;
+        node.textBox = {
+            x: content.x,
+            y: lineTop - rect.top,
+            width: content.width,
+            height: lines[visibleLines - 1].top - first.top + lineHeight
+        };
+        node.lineCount = visibleLines;
+
+        if (ellipsis || clamp > 0) {
+            node.maxLines = visibleLines;
+            node.textTruncation = 'ENDING';
+        }
+        const broken = ellipsis ? null : insertSoftBreaks(node.characters, lines, boxes.length);
+        if (broken !== null) node.characters = broken;
+
+        // Lines the browser chose are kept as they are; justified or truncated text
+        // needs the fixed width
+        node.textAutoResize = broken !== null && !node.maxLines && node.textAlignHorizontal !== 'JUSTIFIED'
+            ? 'WIDTH_AND_HEIGHT'
+            : 'HEIGHT';
+    }
+
+    // Inline generated content (an icon glyph, a counter, "→ ") shares the first line
+    // with the text, so the text layer starts at its first glyph instead of the
+    // content box, and centering or right alignment already happened in the browser
+    function fitTextBoxToGlyphs(el, node, rect) {
+        if (!node.textBox) return;
+        const boxes = measureCharacterBoxes(el);
+        if (boxes.length === 0 || boxes.length > MAX_LINE_PROBE_CHARS) return;
+        const lines = groupLines(boxes);
+        const firstLeft = boxes[0].left - rect.left;
+        if (lines.length === 1) {
+            const right = Math.max(...boxes.map(box => box.right)) - rect.left;
+            // Truncated text keeps the room up to the content edge to truncate in
+            const end = node.textAutoResize === 'WIDTH_AND_HEIGHT' ? right : node.textBox.x + node.textBox.width;
+            node.textBox.width = Math.max(end - firstLeft, 1);
+            node.textBox.x = firstLeft;
+            node.textAlignHorizontal = 'LEFT';
+        } else if (firstLeft - node.textBox.x > 0.5 && !['CENTER', 'RIGHT'].includes(node.textAlignHorizontal)) {
+            // Only the first line is pushed aside; later lines start at the content box
+            node.paragraphIndent = Math.round((firstLeft - node.textBox.x) * 100) / 100;
+        }
+    }
+
+    // --- Element Naming ---
+
+    function getNodeName(el) {
+        const tag = el.tagName.toLowerCase();
+        if (el.id) return `${tag}#${el.id}`;
+        const classes = el.className && typeof el.className === 'string'
+            ? '.' + el.className.trim().split(/\s+/).slice(0, 2).join('.')
+            : '';
+        return classes ? `${tag}${classes}` : tag;
+    }
+
+    // --- Border Extraction ---
+    // Figma has one stroke paint per layer but individual weights per side, so the
+    // widest visible side decides the color and the style; hidden sides get weight 0.
+
+    const INVISIBLE_BORDER_STYLES = new Set(['none', 'hidden']);
+
+    // Dash lengths follow Chrome's rendering: dashes about 3x the width, round dots 1x
+    function strokeStyleFor(style, width) {
+        if (style === 'dashed') return { dashPattern: [width * 3, width * 2] };
+        if (style === 'dotted') return { dashPattern: [0, width * 2], strokeCap: 'ROUND' };
+        return null;
+    }
+
+    function extractBorders(cs) {
+        const sides = ['Top', 'Right', 'Bottom', 'Left'];
+        const weights = {};
+        let widest = null;
+
+        for (const side of sides) {
+            const width = parseFloat(cs[`border${side}Width`]) || 0;
+            const style = cs[`border${side}Style`];
+            const color = parseColor(cs[`border${side}Color`]);
+            const visible = width > 0 && !INVISIBLE_BORDER_STYLES.has(style) && color;
+            weights[side] = visible ? width : 0;
+            if (visible && (!widest || width > widest.width)) {
+                widest = { width, style, color };
+            }
+        }
+
+        if (!widest) return null;
+
+        const border = {
+            strokes: [colorToFigmaFill(widest.color)],
+            strokeWeight: widest.width,
+            strokeAlign: 'INSIDE' // CSS borders sit inside the border box
+        };
+        if (sides.some(side => weights[side] !== widest.width)) {
+            for (const side of sides) border[`stroke${side}Weight`] = weights[side];
+        }
+        Object.assign(border, strokeStyleFor(widest.style, widest.width));
+        return border;
+    }
+
+    // CSS outline doesn't take up space and can be pushed out by outline-offset.
+    // A plain outline on an unbordered box is just an OUTSIDE stroke; anything else
+    // becomes its own ring layer in the plugin.
+    function extractOutline(cs, node) {
+        const width = parseFloat(cs.outlineWidth) || 0;
+        const style = cs.outlineStyle;
+        const color = parseColor(cs.outlineColor);
+        if (width <= 0 || INVISIBLE_BORDER_STYLES.has(style) || !color) return;
+
+        const offset = parseFloat(cs.outlineOffset) || 0;
+        const dash = strokeStyleFor(style, width);
+        if (!node.strokes && offset === 0) {
+            node.strokes = [colorToFigmaFill(color)];
+            node.strokeWeight = width;
+            node.strokeAlign = 'OUTSIDE';
+            Object.assign(node, dash);
+            return;
+        }
+        node.outline = Object.assign({ color: colorToFigmaFill(color), weight: width, offset }, dash);
+    }
+
+    // --- Auto-Layout Inference ---
+
+    // Sub-pixel rounding makes measured boxes drift slightly; beyond this it's a real difference
+    const LAYOUT_TOLERANCE = 1;
+
+    const PRIMARY_ALIGN_MAP = {
+        'normal': 'MIN', 'stretch': 'MIN', 'start': 'MIN', 'flex-start': 'MIN', 'left': 'MIN',
+        'center': 'CENTER',
+        'end': 'MAX', 'flex-end': 'MAX', 'right': 'MAX',
+        'space-between': 'SPACE_BETWEEN'
+    };
+
+    const COUNTER_ALIGN_MAP = {
+        'normal': 'MIN', 'stretch': 'MIN', 'start': 'MIN', 'flex-start': 'MIN', 'self-start': 'MIN',
+        'center': 'CENTER',
+        'end': 'MAX', 'flex-end': 'MAX', 'self-end': 'MAX',
+        'baseline': 'BASELINE', 'first baseline': 'BASELINE'
+    };
+
+    function stripOverflowAlign(value) {
+        return (value || '').replace(/^(un)?safe\s+/, '');
+    }
+
+    function parseGridTracks(template) {
+        if (!template || template === 'none') return [];
+        return (template.match(/-?[\d.]+px/g) || []).map(parseFloat);
+    }
+
+    function resolveLayoutAxis(cs) {
+        if (cs.display === 'flex' || cs.display === 'inline-flex') {
+            const vertical = cs.flexDirection.startsWith('column');
+            return {
+                mode: vertical ? 'VERTICAL' : 'HORIZONTAL',
+                reverse: cs.flexDirection.endsWith('-reverse'),
+                // Figma only wraps horizontal layouts
+                wrap: !vertical && cs.flexWrap !== 'nowrap'
+            };
+        }
+
+        if (cs.display === 'grid' || cs.display === 'inline-grid') {
+            const columns = parseGridTracks(cs.gridTemplateColumns);
+            const rows = parseGridTracks(cs.gridTemplateRows);
+            if (cs.gridAutoFlow.startsWith('column')) {
+                return rows.length <= 1 ? { mode: 'HORIZONTAL', reverse: false, wrap: false } : null;
+            }
+            if (columns.length <= 1) return { mode: 'VERTICAL', reverse: false, wrap: false };
+
+            // A multi-column grid only survives as a wrapping row when its tracks are uniform
+            const uniform = columns.every(w => Math.abs(w - columns[0]) <= LAYOUT_TOLERANCE);
+            return uniform ? { mode: 'HORIZONTAL', reverse: false, wrap: rows.length > 1 } : null;
+        }
+
+        return null;
+    }
+
+    function extractAutoLayout(cs, node, items) {
+        const axis = resolveLayoutAxis(cs);
+        if (!axis) return;
+
+        const horizontal = axis.mode === 'HORIZONTAL';
+        const isGrid = cs.display.endsWith('grid');
+        const pos = horizontal ? 'x' : 'y';
+        const size = horizontal ? 'width' : 'height';
+        const crossPos = horizontal ? 'y' : 'x';
+        const crossSize = horizontal ? 'height' : 'width';
+
+        // Absolutely positioned children don't take part in the flow
+        const flow = [];
+        for (const item of items) {
+            const ics = window.getComputedStyle(item.el);
+            if (ics.position === 'absolute' || ics.position === 'fixed') continue;
+            flow.push({ node: item.node, cs: ics });
+        }
+        if (flow.length === 0) return;
+
+        // Figma has no reverse direction or `order`, so lay single lines out in visual order
+        if (!axis.wrap) flow.sort((a, b) => a.node[pos] - b.node[pos]);
+
+        // Margins space items too, so trust measured gaps — but only when they are regular
+        const justify = stripOverflowAlign(isGrid && !horizontal ? cs.alignContent : cs.justifyContent);
+        let itemSpacing = parseFloat(horizontal ? cs.columnGap : cs.rowGap) || 0;
+        if (!axis.wrap && flow.length > 1) {
+            const gaps = [];
+            for (let i = 1; i < flow.length; i++) {
+                const prev = flow[i - 1].node;
+                gaps.push(flow[i].node[pos] - (prev[pos] + prev[size]));
+            }
+            if (Math.max(...gaps) - Math.min(...gaps) > LAYOUT_TOLERANCE) return;
+            itemSpacing = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+        }
+
+        let primaryAlign = PRIMARY_ALIGN_MAP[justify] || 'MIN'; // space-around/evenly → measured padding
+        if (axis.reverse && ['normal', 'flex-start', 'flex-end'].includes(justify)) {
+            primaryAlign = primaryAlign === 'MIN' ? 'MAX' : 'MIN';
+        }
+
+        const alignRaw = stripOverflowAlign(isGrid && !horizontal ? cs.justifyItems : cs.alignItems);
+        let counterAlign = COUNTER_ALIGN_MAP[alignRaw] || 'MIN';
+        if (counterAlign === 'BASELINE' && !horizontal) counterAlign = 'MIN';
+
+        // CSS padding + border; Figma strokes don't take up layout space
+        const padding = {
+            top: (parseFloat(cs.paddingTop) + parseFloat(cs.borderTopWidth)) || 0,
+            right: (parseFloat(cs.paddingRight) + parseFloat(cs.borderRightWidth)) || 0,
+            bottom: (parseFloat(cs.paddingBottom) + parseFloat(cs.borderBottomWidth)) || 0,
+            left: (parseFloat(cs.paddingLeft) + parseFloat(cs.borderLeftWidth)) || 0
+        };
+        const startSide = horizontal ? 'left' : 'top';
+        const endSide = horizontal ? 'right' : 'bottom';
+        const crossStartSide = horizontal ? 'top' : 'left';
+        const crossEndSide = horizontal ? 'bottom' : 'right';
+
+        const minStart = Math.min(...flow.map(i => i.node[pos]));
+        const maxEnd = Math.max(...flow.map(i => i.node[pos] + i.node[size]));
+        const minCross = Math.min(...flow.map(i => i.node[crossPos]));
+        const maxCrossEnd = Math.max(...flow.map(i => i.node[crossPos] + i.node[crossSize]));
+
+        // Pinned alignments use the measured offset so leading margins are kept
+        if (primaryAlign === 'MIN') padding[startSide] = Math.max(minStart, 0);
+        if (primaryAlign === 'MAX') padding[endSide] = Math.max(node[size] - maxEnd, 0);
+        if (counterAlign === 'MIN') padding[crossStartSide] = Math.max(minCross, 0);
+
+        // --- Child sizing ---
+        const contentCross = node[crossSize] - padding[crossStartSide] - padding[crossEndSide];
+        let anyPrimaryFill = false;
+        let anyCrossFill = false;
+        for (const item of flow) {
+            const selfAlign = stripOverflowAlign(isGrid && !horizontal ? item.cs.justifySelf : item.cs.alignSelf);
+            const stretches = ['stretch', 'normal'].includes(selfAlign === 'auto' ? alignRaw : selfAlign);
+
+            if (!axis.wrap && !isGrid && parseFloat(item.cs.flexGrow) > 0) {
+                item.node[horizontal ? 'layoutSizingHorizontal' : 'layoutSizingVertical'] = 'FILL';
+                anyPrimaryFill = true;
+            }
+            if (stretches && Math.abs(item.node[crossSize] - contentCross) <= LAYOUT_TOLERANCE) {
+                item.node[horizontal ? 'layoutSizingVertical' : 'layoutSizingHorizontal'] = 'FILL';
+                anyCrossFill = true;
+            }
+        }
+
+        // The container hugs an axis when its content, not its own size, decides the extent
+        const hugsPrimary = !axis.wrap && !anyPrimaryFill && primaryAlign !== 'SPACE_BETWEEN' &&
+            Math.abs(padding[startSide] + (maxEnd - minStart) + padding[endSide] - node[size]) <= LAYOUT_TOLERANCE;
+        const hugsCross = !anyCrossFill &&
+            Math.abs(padding[crossStartSide] + (maxCrossEnd - minCross) + padding[crossEndSide] - node[crossSize]) <= LAYOUT_TOLERANCE;
+
+        node.layoutMode = axis.mode;
+        if (axis.wrap) {
+            node.layoutWrap = 'WRAP';
+            node.counterAxisSpacing = parseFloat(cs.rowGap) || 0;
+        }
+        node.itemSpacing = itemSpacing;
+        node.paddingTop = padding.top;
+        node.paddingRight = padding.right;
+        node.paddingBottom = padding.bottom;
+        node.paddingLeft = padding.left;
+        node.primaryAxisAlignItems = primaryAlign;
+        node.counterAxisAlignItems = counterAlign;
+        if (hugsPrimary) node[horizontal ? 'layoutSizingHorizontal' : 'layoutSizingVertical'] = 'HUG';
+        if (hugsCross) node[horizontal ? 'layoutSizingVertical' : 'layoutSizingHorizontal'] = 'HUG';
+
+        // Flow items first, in visual order; everything else (absolute children,
+        // pseudo-elements) floats above the layout at its measured position
+        const flowNodes = flow.map(i => i.node);
+        const others = node.children.filter(c => !flowNodes.includes(c));
+        others.forEach(c => { c.layoutPositioning = 'ABSOLUTE'; });
+        node.children = flowNodes.concat(others);
+    }
+
+    // --- Shadow DOM and iframes ---
+
+    // Child nodes in rendered order: an open shadow root replaces the light DOM,
+    // and each <slot> is replaced by its assigned nodes (or its fallback content)
+    function composedChildNodes(el) {
+        const source = el.shadowRoot ? el.shadowRoot.childNodes : el.childNodes;
+        const result = [];
+        for (const child of source) {
+            if (child.nodeType === Node.ELEMENT_NODE && child.tagName === 'SLOT') {
+                const assigned = child.assignedNodes({ flatten: true });
+                result.push(...(assigned.length > 0 ? assigned : composedChildNodes(child)));
+            } else {
+                result.push(child);
+            }
+        }
+        return result;
+    }
+
+    function usesComposedTree(el) {
+        return Boolean(el.shadowRoot) || composedChildNodes(el).some(child => child.parentNode !== el);
+    }
+
+    // Same-origin iframes are walked in place; cross-origin ones can't be read and
+    // become placeholders that the scraper fills with a screenshot crop
+    function walkIframe(el, cs, rect, node) {
+        let doc = null;
+        try {
+            doc = el.contentDocument;
+        } catch (e) {
+            // Cross-origin access throws in some browsers instead of returning null
+        }
+
+        const insetX = (parseFloat(cs.borderLeftWidth) || 0) + (parseFloat(cs.paddingLeft) || 0);
+        const insetY = (parseFloat(cs.borderTopWidth) || 0) + (parseFloat(cs.paddingTop) || 0);
+
+        if (!doc || !doc.body) {
+            node.name = `iframe (cross-origin)${el.src ? ': ' + el.src : ''}`;
+            node.embedPlaceholder = {
+                src: el.src || '',
+                clip: {
+                    x: rect.left + frameOffset.x + window.scrollX,
+                    y: rect.top + frameOffset.y + window.scrollY,
+                    width: rect.width,
+                    height: rect.height
+                }
+            };
+            return;
+        }
+
+        // Rects inside the iframe are relative to its content box
+        const outerOffset = frameOffset;
+        frameOffset = { x: outerOffset.x + rect.left + insetX, y: outerOffset.y + rect.top + insetY };
+        try {
+            const body = walkElement(doc.body, { left: -insetX, top: -insetY });
+            if (body) node.children.push(body);
+        } finally {
+            frameOffset = outerOffset;
+            removeProbeStyle(doc);
+        }
+    }
+
+    // --- Text Style ---
+
+    function applyTextStyle(node, cs) {
+        const textColor = parseColor(cs.color);
+        if (textColor) {
+            node.fills = [colorToFigmaFill(textColor)].filter(Boolean);
+        }
+
+        node.fontSize = parseFloat(cs.fontSize) || 16;
+        node.fontFamily = cs.fontFamily.split(',')[0].replace(/['"]/g, '').trim();
+        node.fontWeight = cs.fontWeight;
+        node.fontStyle = cs.fontStyle;
+        node.figmaFontStyle = fontWeightToStyle(cs.fontWeight, cs.fontStyle);
+        node.lineHeight = cs.lineHeight === 'normal'
+            ? { unit: 'AUTO' }
+            : { unit: 'PIXELS', value: parseFloat(cs.lineHeight) };
+        node.letterSpacing = parseFloat(cs.letterSpacing) || 0;
+        node.textAlignHorizontal = mapTextAlign(cs.textAlign);
+        node.textDecoration = mapTextDecoration(cs.textDecorationLine || cs.textDecoration);
+    }
+
+    // --- Form Controls ---
+    // Values, placeholders, check marks and select arrows are neither DOM text nor
+    // elements, so they are added as child layers. Controls styled with
+    // `appearance: none` already draw themselves through their computed styles.
+
+    const FORM_CONTROL_TAGS = new Set(['input', 'textarea', 'select']);
+
+    // Input types without a text value to show
+    const NON_TEXT_INPUT_TYPES = new Set(['checkbox', 'radio', 'range', 'color', 'file', 'image', 'hidden']);
+
+    // Chrome's labels for value-less input buttons
+    const INPUT_BUTTON_LABELS = { submit: 'Submit', reset: 'Reset', button: '' };
+
+    // Chrome's native checkbox, radio and select arrow colors
+    const NATIVE_CONTROL_BORDER = { r: 118 / 255, g: 118 / 255, b: 118 / 255, a: 1 };
+    const NATIVE_CONTROL_BACKGROUND = { r: 1, g: 1, b: 1, a: 1 };
+    const DEFAULT_ACCENT_COLOR = { r: 0, g: 117 / 255, b: 1, a: 1 };
+
+    const SELECT_ARROW = { width: 10, height: 6, inset: 15 };
+
+    function toCssRgb(color) {
+        const channel = v => Math.round(v * 255);
+        return `rgba(${channel(color.r)}, ${channel(color.g)}, ${channel(color.b)}, ${color.a})`;
+    }
+
+    function contentBox(cs, width, height) {
+        const side = s => (parseFloat(cs[`border${s}Width`]) || 0) + (parseFloat(cs[`padding${s}`]) || 0);
+        const left = side('Left');
+        const top = side('Top');
+        return {
+            x: left,
+            y: top,
+            width: Math.max(width - left - side('Right'), 1),
+            height: Math.max(height - top - side('Bottom'), 1)
+        };
+    }
+
+    function extractFormControl(el, cs, node) {
+        const type = node.tag === 'input' ? (el.type || 'text').toLowerCase() : node.tag;
+        const native = (cs.appearance || cs.webkitAppearance) !== 'none';
+
+        if (type === 'checkbox' || type === 'radio') {
+            if (native) drawNativeToggle(el, cs, node, type);
+            return;
+        }
+        // List boxes show their options, which the walker picks up as children
+        if (type === 'select' && (el.multiple || el.size > 1)) return;
+        if (NON_TEXT_INPUT_TYPES.has(type)) return;
+
+        node.clipsContent = true;
+        const box = contentBox(cs, node.width, node.height);
+        let text = '';
+        let isPlaceholder = false;
+
+        if (type === 'select') {
+            const option = el.options[el.selectedIndex];
+            text = option ? option.text : '';
+            if (native) {
+                const arrowX = node.width - (parseFloat(cs.borderRightWidth) || 0) - SELECT_ARROW.inset;
+                box.width = Math.max(Math.min(box.width, arrowX - box.x - 4), 1);
+                node.children.push(selectArrow(cs, arrowX, (node.height - SELECT_ARROW.height) / 2));
+            }
+        } else if (type in INPUT_BUTTON_LABELS) {
+            text = el.value || INPUT_BUTTON_LABELS[type];
+        } else {
+            text = type === 'password' ? '•'.repeat(el.value.length) : el.value;
+            if (!text && el.placeholder) {
+                text = el.placeholder;
+                isPlaceholder = true;
+            }
+        }
+
+        if (text) {
+            node.children.push(formControlText(el, cs, box, text, isPlaceholder, type === 'textarea'));
+        }
+    }
+
+    function formControlText(el, cs, box, text, isPlaceholder, multiline) {
+        const textNode = { name: isPlaceholder ? 'placeholder' : 'value', type: 'TEXT', characters: text };
+        applyTextStyle(textNode, cs);
+
+        if (isPlaceholder) {
+            const pcs = window.getComputedStyle(el, '::placeholder');
+            const color = parseColor(pcs.color);
+            if (color) {
+                const opacity = parseFloat(pcs.opacity);
+                textNode.fills = [colorToFigmaFill({ ...color, a: color.a * (opacity >= 0 ? opacity : 1) })];
+            }
+        }
+
+        if (multiline) {
+            Object.assign(textNode, box);
+            return textNode;
+        }
+
+        // Single-line controls center their one line box and scroll instead of wrapping
+        const lineHeight = textNode.lineHeight.unit === 'PIXELS' ? textNode.lineHeight.value : textNode.fontSize * 1.2;
+        textNode.x = box.x;
+        textNode.y = box.y + (box.height - lineHeight) / 2;
+        textNode.width = box.width;
+        textNode.height = lineHeight;
+        textNode.textAutoResize = textNode.textAlignHorizontal === 'LEFT' ? 'WIDTH_AND_HEIGHT' : 'HEIGHT';
+        return textNode;
+    }
+
+    function selectArrow(cs, x, y) {
+        const color = parseColor(cs.color) || NATIVE_CONTROL_BORDER;
+        return {
+            name: 'chevron',
+            type: 'SVG',
+            x,
+            y,
+            width: SELECT_ARROW.width,
+            height: SELECT_ARROW.height,
+            svgContent: `<svg xmlns="http://www.w3.org/2000/svg" width="${SELECT_ARROW.width}" height="${SELECT_ARROW.height}" viewBox="0 0 10 6">` +
+                `<path d="M1 1l4 4 4-4" fill="none" stroke="${toCssRgb(color)}" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/></svg>`
+        };
+    }
+
+    // Native checkboxes and radios are painted by the browser, not by their computed styles
+    function drawNativeToggle(el, cs, node, type) {
+        const accent = parseColor(cs.accentColor) || DEFAULT_ACCENT_COLOR;
+        const checked = el.checked || (type === 'checkbox' && el.indeterminate);
+        const size = Math.min(node.width, node.height);
+        const radius = type === 'radio' ? size / 2 : 2;
+
+        node.fills = [colorToFigmaFill(checked && type === 'checkbox' ? accent : NATIVE_CONTROL_BACKGROUND)];
+        node.strokes = [colorToFigmaFill(checked ? accent : NATIVE_CONTROL_BORDER)];
+        node.strokeWeight = 1;
+        node.strokeAlign = 'INSIDE';
+        node.topLeftRadius = node.topRightRadius = node.bottomRightRadius = node.bottomLeftRadius = radius;
+        if (!checked) return;
+
+        if (type === 'radio') {
+            const dot = size / 2;
+            node.children.push({
+                name: 'dot',
+                type: 'FRAME',
+                x: (node.width - dot) / 2,
+                y: (node.height - dot) / 2,
+                width: dot,
+                height: dot,
+                fills: [colorToFigmaFill(accent)],
+                topLeftRadius: dot / 2,
+                topRightRadius: dot / 2,
+                bottomRightRadius: dot / 2,
+                bottomLeftRadius: dot / 2,
+                children: []
+            });
+            return;
+        }
+
+        const path = el.indeterminate ? 'M4 8h8' : 'M3.5 8.5l3 3 6-7';
+        node.children.push({
+            name: el.indeterminate ? 'indeterminate' : 'check',
+            type: 'SVG',
+            x: 0,
+            y: 0,
+            width: node.width,
+            height: node.height,
+            svgContent: `<svg xmlns="http://www.w3.org/2000/svg" width="${node.width}" height="${node.height}" viewBox="0 0 16 16">` +
+                `<path d="${path}" fill="none" stroke="#fff" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>`
+        });
+    }
+
+    // --- Pseudo-elements and List Markers ---
+    // Pseudo-elements have no DOM node to measure, so each one is rebuilt as a
+    // temporary probe element carrying its computed style and resolved content,
+    // walked like any other element and removed again. The original is hidden
+    // meanwhile so the probe takes its exact place in the layout; the hiding rule
+    // goes into every document walked, same-origin iframes included. Stylesheet
+    // rules don't reach into shadow roots, so there the original stays visible,
+    // which only shifts probes for inline pseudo-elements.
+
+    const PROBE_TAG = 'h2f-pseudo';
+    const PROBE_HOST_ATTRIBUTE = 'data-h2f-probe-host';
+    const probeStyles = new Map();
+
+    function hidePseudoWhileProbing(el, pseudo) {
+        const doc = el.ownerDocument;
+        if (!probeStyles.has(doc)) {
+            const style = doc.createElement('style');
+            style.textContent = ['before', 'after', 'marker'].map(name =>
+                `[${PROBE_HOST_ATTRIBUTE}="${name}"]::${name} { content: none !important; }`).join('\n');
+            (doc.head || doc.documentElement).appendChild(style);
+            probeStyles.set(doc, style);
+        }
+        el.setAttribute(PROBE_HOST_ATTRIBUTE, pseudo.replace('::', ''));
+        return () => el.removeAttribute(PROBE_HOST_ATTRIBUTE);
+    }
+
+    // Without a document, removes the style from every document that got one
+    function removeProbeStyle(doc) {
+        for (const [styled, style] of probeStyles) {
+            if (doc && styled !== doc) continue;
+            style.remove();
+            probeStyles.delete(styled);
+        }
+    }
+
+    // Copies a computed style onto a probe; animations would restart from their first frame
+    function copyComputedStyle(probe, pcs, skip) {
+        for (let i = 0; i < pcs.length; i++) {
+            const prop = pcs[i];
+            if (prop.startsWith('--') || skip.has(prop) || /^(animation|transition)/.test(prop)) continue;
+            probe.style.setProperty(prop, pcs.getPropertyValue(prop));
+        }
+    }
+
+    const COUNTER_BULLETS = {
+        'disc': '•', 'circle': '◦', 'square': '▪',
+        'disclosure-open': '▾', 'disclosure-closed': '▸'
+    };
+
+    function toAlphabetic(value, base) {
+        let text = '';
+        for (let n = value; n > 0; n = Math.floor((n - 1) / 26)) {
+            text = String.fromCharCode(base + (n - 1) % 26) + text;
+        }
+        return text || String(value);
+    }
+
+    function toRoman(value) {
+        if (value <= 0 || value >= 4000) return String(value);
+        const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+            [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+        let text = '';
+        let rest = value;
+        for (const [amount, numeral] of numerals) {
+            for (; rest >= amount; rest -= amount) text += numeral;
+        }
+        return text;
+    }
+
+    function formatCounter(value, style) {
+        const type = (style || 'decimal').trim();
+        if (/^["']/.test(type)) return type.slice(1, -1);
+        if (type === 'none') return '';
+        if (COUNTER_BULLETS[type]) return COUNTER_BULLETS[type];
+        if (type === 'decimal-leading-zero') return String(value).padStart(2, '0');
+        if (type === 'lower-alpha' || type === 'lower-latin') return toAlphabetic(value, 97);
+        if (type === 'upper-alpha' || type === 'upper-latin') return toAlphabetic(value, 65);
+        if (type === 'lower-roman') return toRoman(value);
+        if (type === 'upper-roman') return toRoman(value).toUpperCase();
+        return String(value);
+    }
+
+    // "section 1 figure 2" → { section: 1, figure: 2 }
+    function parseCounterList(value, fallback) {
+        const counters = {};
+        if (!value || value === 'none') return counters;
+        const tokens = value.trim().split(/\s+/);
+        for (let i = 0; i < tokens.length; i++) {
+            const amount = parseInt(tokens[i + 1], 10);
+            counters[tokens[i]] = Number.isNaN(amount) ? fallback : amount;
+            if (!Number.isNaN(amount)) i++;
+        }
+        return counters;
+    }
+
+    function pseudoIncrement(el, pseudo, name) {
+        const pcs = window.getComputedStyle(el, pseudo);
+        if (!pcs.content || pcs.content === 'none' || pcs.content === 'normal') return 0;
+        return parseCounterList(pcs.counterIncrement, 1)[name] || 0;
+    }
+
+    // Position in an <ol>, honoring start, reversed and per-item value attributes
+    function listItemNumber(li) {
+        const list = li.parentElement;
+        const items = list ? Array.from(list.children).filter(c => c.tagName === 'LI') : [li];
+        const reversed = list && list.tagName === 'OL' && list.reversed;
+        let n = list && list.tagName === 'OL' && list.hasAttribute('start')
+            ? list.start
+            : (reversed ? items.length : 1);
+        for (const item of items) {
+            if (item.hasAttribute('value')) n = item.value;
+            if (item === li) return n;
+            n += reversed ? -1 : 1;
+        }
+        return n;
+    }
+
+    // Counter value seen by el's pseudo-element. Walks back through the element,
+    // its previous siblings and its ancestors until the counter's reset; increments
+    // nested inside earlier siblings' subtrees are not counted.
+    function counterValue(el, pseudo, name) {
+        if (name === 'list-item') {
+            const li = el.closest('li');
+            return li ? listItemNumber(li) : 0;
+        }
+        let total = pseudoIncrement(el, '::before', name) +
+            (pseudo === '::after' ? pseudoIncrement(el, '::after', name) : 0);
+        for (let level = el; level; level = level.parentElement) {
+            for (let sib = level; sib; sib = sib.previousElementSibling) {
+                // An ancestor's ::before comes before el, its ::after after it
+                if (sib === level && sib !== el) {
+                    total += pseudoIncrement(sib, '::before', name);
+                } else if (sib !== el) {
+                    total += pseudoIncrement(sib, '::before', name) + pseudoIncrement(sib, '::after', name);
+                }
+                const scs = window.getComputedStyle(sib);
+                const set = parseCounterList(scs.counterSet, 0)[name];
+                if (set !== undefined) return total + set;
+                total += parseCounterList(scs.counterIncrement, 1)[name] || 0;
+                const reset = parseCounterList(scs.counterReset, 0)[name];
+                if (reset !== undefined) return total + reset;
+            }
+        }
+        return total;
+    }
+
+    function unescapeCssString(str) {
+        return str.replace(/\\([0-9a-fA-F]{1,6})\s?|\\(.)/g, (m, hex, ch) =>
+            hex ? String.fromCodePoint(parseInt(hex, 16)) : ch);
+    }
+
+    // Comma-separated arguments; commas inside quotes don't count
+    function splitFunctionArgs(inner) {
+        const args = [];
+        let current = '';
+        let quote = null;
+        for (const ch of inner) {
+            if (quote) {
+                if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (ch === ',') {
+                args.push(current.trim());
+                current = '';
+                continue;
+            }
+            current += ch;
+        }
+        args.push(current.trim());
+        return args;
+    }
+
+    // Computed `content` → { text, imageUrl }, or null when nothing is generated.
+    // counters() resolves to the innermost level only.
+    function resolvePseudoContent(el, pseudo, content) {
+        if (!content || content === 'none' || content === 'normal') return null;
+        let text = '';
+        let imageUrl = null;
+        let i = 0;
+        while (i < content.length) {
+            const ch = content[i];
+            if (/\s/.test(ch)) {
+                i++;
+            } else if (ch === '"' || ch === "'") {
+                let end = i + 1;
+                while (end < content.length && content[end] !== ch) end += content[end] === '\\' ? 2 : 1;
+                text += unescapeCssString(content.slice(i + 1, end));
+                i = end + 1;
+            } else if (ch === '/') {
+                break; // alternative text for assistive technology
+            } else {
+                const ident = content.slice(i).match(/^[a-z-]+/i);
+                if (!ident) break;
+                const name = ident[0].toLowerCase();
+                i += ident[0].length;
+                if (content[i] !== '(') {
+                    if (name === 'open-quote') text += '“';
+                    else if (name === 'close-quote') text += '”';
+                    continue;
+                }
+                const close = findClosingParen(content, i);
+                if (close === -1) break;
+                const args = splitFunctionArgs(content.slice(i + 1, close));
+                i = close + 1;
+                if (name === 'url') {
+                    imageUrl = imageUrl || args[0].replace(/^["']|["']$/g, '');
+                } else if (name === 'counter' || name === 'counters') {
+                    const style = name === 'counter' ? args[1] : args[2];
+                    text += formatCounter(counterValue(el, pseudo, args[0]), style);
+                } else if (name === 'attr') {
+                    text += el.getAttribute(args[0]) || '';
+                }
+            }
+        }
+        return { text, imageUrl };
+    }
+
+    function probeNode(el, probe, pseudo, parentRect) {
+        const restore = hidePseudoWhileProbing(el, pseudo);
+        const host = el.shadowRoot || el;
+        if (pseudo === '::after') host.appendChild(probe);
+        else host.insertBefore(probe, host.firstChild);
+        try {
+            return walkElement(probe, parentRect);
+        } finally {
+            probe.remove();
+            restore();
+        }
+    }
+
+    // A generated box that paints nothing isn't worth a layer
+    function isEmptyFrame(node) {
+        return node.type === 'FRAME' && !node.children.length && !node.fills.length &&
+            !node.strokes && !node.effects && !node.outline;
+    }
+
+    function extractPseudoElement(el, pseudo, parentRect) {
+        const pcs = window.getComputedStyle(el, pseudo);
+        if (pcs.display === 'none') return null;
+        const content = resolvePseudoContent(el, pseudo, pcs.content);
+        if (!content) return null;
+
+        const probe = document.createElement(content.imageUrl ? 'img' : PROBE_TAG);
+        copyComputedStyle(probe, pcs, new Set(['content']));
+        if (content.imageUrl) probe.src = content.imageUrl;
+        else probe.textContent = content.text;
+
+        const node = probeNode(el, probe, pseudo, parentRect);
+        if (!node || isEmptyFrame(node)) return null;
+        node.name = `${getNodeName(el)}${pseudo}`;
+        node.tag = pseudo;
+        return node;
+    }
+
+    // ::marker of list items: explicit `content`, a list-style-image, or the list-style-type counter
+    function extractMarker(el, cs, parentRect) {
+        if (cs.display !== 'list-item') return null;
+        const mcs = window.getComputedStyle(el, '::marker');
+        let content = mcs.content && mcs.content !== 'normal'
+            ? resolvePseudoContent(el, '::marker', mcs.content)
+            : null;
+        if (!content && (!mcs.content || mcs.content === 'normal')) {
+            const imageUrl = extractBackgroundImageUrl(cs.listStyleImage);
+            const type = cs.listStyleType;
+            if (imageUrl) {
+                content = { text: '', imageUrl };
+            } else if (type && type !== 'none') {
+                const label = formatCounter(listItemNumber(el), type);
+                const symbolic = COUNTER_BULLETS[type] || /^["']/.test(type);
+                content = { text: symbolic ? `${label} ` : `${label}. `, imageUrl: null };
+            }
+        }
+        if (!content || (!content.text && !content.imageUrl)) return null;
+
+        const outside = cs.listStylePosition !== 'inside';
+        const probe = document.createElement(content.imageUrl ? 'img' : PROBE_TAG);
+        copyComputedStyle(probe, mcs, new Set(['content', 'display', 'position']));
+        probe.style.display = 'inline';
+        probe.style.whiteSpace = 'pre';
+        // An absolute probe sits at the start of the first line; outside markers end there
+        if (outside) probe.style.position = 'absolute';
+        if (content.imageUrl) probe.src = content.imageUrl;
+        else probe.textContent = content.text;
+
+        const node = probeNode(el, probe, '::marker', parentRect);
+        if (!node) return null;
+        if (outside) node.x -= node.width;
+        node.name = `${getNodeName(el)}::marker`;
+        node.tag = '::marker';
+        return node;
+    }
+
+    // Marker and ::before go under the element's content, ::after above it
+    function extractGeneratedContent(el, cs, rect) {
+        const marker = extractMarker(el, cs, rect);
+        const before = extractPseudoElement(el, '::before', rect);
+        const after = extractPseudoElement(el, '::after', rect);
+        return {
+            leading: [marker, before].filter(Boolean),
+            trailing: after ? [after] : []
+        };
+    }
+
+    // Text layers can't hold children, so a text element with generated content
+    // becomes a frame holding its box styles, the text layer and the generated layers
+    const TEXT_BOX_KEYS = [
+        'strokes', 'strokeWeight', 'strokeAlign', 'strokeTopWeight', 'strokeRightWeight',
+        'strokeBottomWeight', 'strokeLeftWeight', 'dashPattern', 'strokeCap', 'outline',
+        'topLeftRadius', 'topRightRadius', 'bottomRightRadius', 'bottomLeftRadius',
+        'effects', 'opacity', 'blendMode', 'unsupportedEffects', 'stateId'
+    ];
+
+    function wrapTextWithGeneratedContent(node, generated) {
+        const frame = {
+            name: node.name,
+            type: 'FRAME',
+            x: node.x,
+            y: node.y,
+            width: node.width,
+            height: node.height,
+            tag: node.tag,
+            fills: node.backgroundFills || []
+        };
+        if (node.classList) frame.classList = node.classList;
+        for (const key of TEXT_BOX_KEYS) {
+            if (node[key] === undefined) continue;
+            frame[key] = node[key];
+            delete node[key];
+        }
+        delete node.backgroundFills;
+        node.x = 0;
+        node.y = 0;
+        frame.children = [...generated.leading, node, ...generated.trailing];
+        return frame;
+    }
+
+    // --- Transforms ---
+    // Transforms don't affect layout, so a rotated or scaled subtree is measured with
+    // its transforms switched off: the node keeps its untransformed box, children get
+    // coordinates local to it, and the CSS matrix is stored as a Figma relativeTransform.
+    // Pure translations keep the rendered position instead.
+
+    const TRANSFORM_PROPERTIES = ['transform', 'rotate', 'scale', 'translate'];
+
+    // Individual properties apply first (translate, rotate, scale), then `transform`
+    function cssTransformMatrix(style, width, height) {
+        const list = [];
+        if (style.translate && style.translate !== 'none') {
+            const [x, y = '0px', z] = style.translate.split(/\s+/);
+            const tx = resolveLength(x, width) || 0;
+            const ty = resolveLength(y, height) || 0;
+            list.push(z ? `translate3d(${tx}px, ${ty}px, ${z})` : `translate(${tx}px, ${ty}px)`);
+        }
+        if (style.rotate && style.rotate !== 'none') {
+            const parts = style.rotate.split(/\s+/);
+            if (parts.length === 1) list.push(`rotate(${parts[0]})`);
+            else if (parts.length === 2) list.push(`rotate${parts[0].toUpperCase()}(${parts[1]})`);
+            else list.push(`rotate3d(${parts.join(', ')})`);
+        }
+        if (style.scale && style.scale !== 'none') {
+            const parts = style.scale.split(/\s+/);
+            list.push(parts.length === 3 ? `scale3d(${parts.join(', ')})` : `scale(${parts.join(', ')})`);
+        }
+        if (style.transform && style.transform !== 'none') list.push(style.transform);
+        if (list.length === 0) return null;
+        try {
+            return new DOMMatrix(list.join(' '));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function hasLinearTransform(matrix) {
+        if (!matrix) return false;
+        const EPSILON = 1e-6;
+        return Math.abs(matrix.a - 1) > EPSILON || Math.abs(matrix.b) > EPSILON ||
+            Math.abs(matrix.c) > EPSILON || Math.abs(matrix.d - 1) > EPSILON;
+    }
+
+    // Inline !important beats stylesheets and animations; transitions are switched
+    // off too, or the change would animate instead of applying at once
+    function suspendTransform(el) {
+        const props = [...TRANSFORM_PROPERTIES, 'transition'];
+        const saved = props.map(prop => [
+            prop, el.style.getPropertyValue(prop), el.style.getPropertyPriority(prop)
+        ]);
+        for (const prop of props) el.style.setProperty(prop, 'none', 'important');
+        return () => {
+            for (const [prop, value, priority] of saved) {
+                if (value) el.style.setProperty(prop, value, priority);
+                else el.style.removeProperty(prop);
+            }
+        };
+    }
+
+    function walkElement(el, parentRect) {
+        const cs = window.getComputedStyle(el);
+        if (cs.display === 'none' || !hasLinearTransform(cssTransformMatrix(cs, 0, 0))) {
+            return walkElementBox(el, parentRect);
+        }
+        const rendered = el.getBoundingClientRect();
+        if (rendered.width <= 0 && rendered.height <= 0) return null;
+
+        // The computed style is live, so read it before the transform is switched off
+        const style = {};
+        for (const prop of TRANSFORM_PROPERTIES) style[prop] = cs[prop];
+        const origin = cs.transformOrigin.split(/\s+/).map(v => parseFloat(v) || 0);
+
+        const restore = suspendTransform(el);
+        try {
+            const node = walkElementBox(el, parentRect);
+            const matrix = node && cssTransformMatrix(style, node.width, node.height);
+            if (matrix) {
+                // Figma's transform maps the layer's top-left corner; CSS pivots on transform-origin
+                const [ox, oy] = origin;
+                const round = v => Math.round(v * 10000) / 10000;
+                node.transform = [
+                    [round(matrix.a), round(matrix.c), round(node.x + ox - (matrix.a * ox + matrix.c * oy) + matrix.e)],
+                    [round(matrix.b), round(matrix.d), round(node.y + oy - (matrix.b * ox + matrix.d * oy) + matrix.f)]
+                ];
+            }
+            return node;
+        } finally {
+            restore();
+        }
+    }
+
+    // --- Main DOM Walker ---
+
+    function walkElementBox(el, parentRect) {
+        // Security: limit recursion to prevent infinite loops or potential memory exhaustion
+        if (totalNodes++ > MAX_NODES) {
+            // Return null to stop processing this branch
+            return null;
+        }
+        // Skip invisible or empty elements
+        const cs = window.getComputedStyle(el);
+        if (cs.display === 'none' || cs.visibility === 'hidden') return null;
+
+        const rect = el.getBoundingClientRect();
+
+        // Skip zero-size elements (unless they're text-bearing)
+        if (rect.width <= 0 && rect.height <= 0) return null;
+
+        const node = {
+            name: getNodeName(el),
+            x: parentRect ? rect.left - parentRect.left : rect.left,
+            y: parentRect ? rect.top - parentRect.top : rect.top,
+            width: Math.max(rect.width, 1),
+            height: Math.max(rect.height, 1)
+        };
+
+        // --- Determine node type ---
+        const tag = el.tagName.toLowerCase();
+
+        // Structural identity, used to detect repeated components
+        node.tag = tag;
+        if (el.classList && el.classList.length > 0) node.classList = Array.from(el.classList);
+        if (options.stateAttribute && el.hasAttribute(options.stateAttribute)) {
+            node.stateId = el.getAttribute(options.stateAttribute);
+        }
+
+        // SVG handling
+        if (tag === 'svg') {
+            node.type = 'SVG';
+            node.svgContent = el.outerHTML;
+            return node;
+        }
+
+        // Image handling
+        if (tag === 'img') {
+            node.type = 'IMAGE';
+            node.imageUrl = el.src;
+            node.name = `img${el.alt ? ': ' + el.alt : ''}`;
+            extractFilterEffects(cs, node);
+            return node;
+        }
+
+        // Video poster handling
+        if (tag === 'video' && el.poster) {
+            node.type = 'IMAGE';
+            node.imageUrl = el.poster;
+            return node;
+        }
+
+        // Canvas handling — capture canvas content as image
+        if (tag === 'canvas') {
+            try {
+                const dataUrl = el.toDataURL('image/png');
+                if (dataUrl && dataUrl !== 'data:,') {
+                    node.type = 'IMAGE';
+                    // Strip the data:image/png;base64, prefix
+                    node.imageBase64 = dataUrl.split(',')[1];
+                    node.name = 'canvas';
+                    return node;
+                }
+            } catch (e) {
+                // Canvas may be tainted (cross-origin), skip
+            }
+            // If canvas capture fails, return as empty frame
+            node.type = 'FRAME';
+            node.fills = [];
+            return node;
+        }
+
+        // --- Check if this is a text-only node ---
+        // Form controls show values and placeholders, not their DOM text
+        const isFormControl = FORM_CONTROL_TAGS.has(tag);
+        const hasOnlyTextChildren = tag !== 'iframe' && !isFormControl && composedChildNodes(el).every(
+            c => c.nodeType === Node.TEXT_NODE ||
+                (c.nodeType === Node.ELEMENT_NODE &&
+                    ['SPAN', 'STRONG', 'EM', 'B', 'I', 'A', 'CODE', 'SMALL', 'SUB', 'SUP', 'MARK', 'U', 'S', 'BR'].includes(c.tagName))
+        );
+        // innerText doesn't follow slots, so shadow hosts rebuild their text from the flat tree
+        const textContent = !hasOnlyTextChildren ? ''
+            : usesComposedTree(el) ? collectTextRuns(el).text : el.innerText?.trim();
+
+        if (hasOnlyTextChildren && textContent) {
+            node.type = 'TEXT';
+            node.characters = textContent;
+
+            // Text styles
+            applyTextStyle(node, cs);
+
+            // Inline formatting (<strong>, <em>, <a>, <code>, ...) as per-range styles
+            extractTextSegments(el, node);
+
+            // Browser line breaks, line height, truncation and text case
+            extractTextLayout(el, cs, node, rect);
+
+            // Text nodes can also have backgrounds (e.g., highlighted text, buttons)
+            const bgFill = extractBackground(cs, node.width, node.height);
+            if (bgFill) {
+                node.backgroundFills = Array.isArray(bgFill) ? bgFill : [bgFill];
+            }
+
+            // Borders and outlines on text containers
+            const borderData = extractBorders(cs);
+            if (borderData) Object.assign(node, borderData);
+            extractOutline(cs, node);
+
+            // Corner radius
+            extractCornerRadius(cs, node);
+
+            // Effects
+            const effects = parseBoxShadow(cs.boxShadow);
+            if (effects.length > 0) node.effects = effects;
+
+            // Opacity
+            const opacity = parseFloat(cs.opacity);
+            if (opacity < 1) node.opacity = opacity;
+
+            // Filters, backdrop blur and blend mode
+            extractFilterEffects(cs, node);
+
+            // List marker, ::before and ::after
+            const generated = extractGeneratedContent(el, cs, rect);
+            if (generated.leading.length > 0 || generated.trailing.length > 0) {
+                fitTextBoxToGlyphs(el, node, rect);
+                return wrapTextWithGeneratedContent(node, generated);
+            }
+
+            return node;
+        }
+
+        // --- It's a container (FRAME) ---
+        node.type = 'FRAME';
+        node.clipsContent = (cs.overflow === 'hidden' || cs.overflow === 'clip' ||
+            cs.overflowX === 'hidden' || cs.overflowY === 'hidden');
+
+        // Fills (background color, gradients and images)
+        node.fills = extractBackground(cs, node.width, node.height) || [];
+
+        // Borders and outlines → Strokes
+        const borderData = extractBorders(cs);
+        if (borderData) Object.assign(node, borderData);
+        extractOutline(cs, node);
+
+        // Corner radius
+        extractCornerRadius(cs, node);
+
+        // Effects (box-shadow)
+        const effects = parseBoxShadow(cs.boxShadow);
+        if (effects.length > 0) node.effects = effects;
+
+        // Opacity
+        const opacity = parseFloat(cs.opacity);
+        if (opacity < 1) node.opacity = opacity;
+
+        // Filters, backdrop blur and blend mode
+        extractFilterEffects(cs, node);
+
+        // --- Walk children ---
+        node.children = [];
+        const childItems = [];
+        if (tag === 'iframe') {
+            node.clipsContent = true;
+            walkIframe(el, cs, rect, node);
+            return node;
+        }
+        if (isFormControl) extractFormControl(el, cs, node);
+        for (const child of composedChildNodes(el)) {
+            if (child.nodeType !== Node.ELEMENT_NODE) continue;
+            const childNode = walkElement(child, rect);
+            if (childNode) {
+                node.children.push(childNode);
+                childItems.push({ el: child, node: childNode });
+            }
+        }
+
+        // --- List marker and pseudo-elements (::before, ::after) ---
+        const generated = extractGeneratedContent(el, cs, rect);
+        node.children = [...generated.leading, ...node.children, ...generated.trailing];
+
+        // --- Auto-layout (flexbox / grid) ---
+        extractAutoLayout(cs, node, childItems);
+
+        return node;
+    }
+
+    function extractBackground(cs, width, height) {
+        const fills = [];
+        const bgColor = parseColor(cs.backgroundColor);
+        if (bgColor) {
+            const fill = colorToFigmaFill(bgColor);
+            if (fill) fills.push(fill);
+        }
+
+        // CSS lists layers top-first; Figma paints the last fill on top
+        const layers = cs.backgroundImage && cs.backgroundImage !== 'none'
+            ? splitGradientParts(cs.backgroundImage)
+            : [];
+        for (let i = layers.length - 1; i >= 0; i--) {
+            const layer = layers[i].trim();
+            const imageUrl = extractBackgroundImageUrl(layer);
+            const fill = imageUrl
+                ? createBackgroundImageFill(cs, i, imageUrl, width, height)
+                : parseGradient(layer, width, height);
+            if (!fill) continue;
+            // background-blend-mode mixes the layer with the ones below it
+            const blendMode = BLEND_MODES[pickBackgroundLayerValue(cs.backgroundBlendMode, i)];
+            if (blendMode) fill.blendMode = blendMode;
+            fills.push(fill);
+        }
+
+        return fills.length > 0 ? fills : null;
+    }
+
+    function pickBackgroundLayerValue(list, index) {
+        // Shorter background-* lists repeat to match the number of image layers
+        const values = splitGradientParts(list || '');
+        return values.length > 0 ? values[index % values.length].trim() : '';
+    }
+
+    function createBackgroundImageFill(cs, index, imageUrl, width, height) {
+        // Positioning area: padding box by default, per background-origin
+        const origin = pickBackgroundLayerValue(cs.backgroundOrigin, index) || 'padding-box';
+        const area = { x: 0, y: 0, width, height };
+        if (origin !== 'border-box') {
+            const bt = parseFloat(cs.borderTopWidth) || 0;
+            const br = parseFloat(cs.borderRightWidth) || 0;
+            const bb = parseFloat(cs.borderBottomWidth) || 0;
+            const bl = parseFloat(cs.borderLeftWidth) || 0;
+            area.x += bl;
+            area.y += bt;
+            area.width -= bl + br;
+            area.height -= bt + bb;
+        }
+        if (origin === 'content-box') {
+            const pt = parseFloat(cs.paddingTop) || 0;
+            const pr = parseFloat(cs.paddingRight) || 0;
+            const pb = parseFloat(cs.paddingBottom) || 0;
+            const pl = parseFloat(cs.paddingLeft) || 0;
+            area.x += pl;
+            area.y += pt;
+            area.width -= pl + pr;
+            area.height -= pt + pb;
+        }
+        area.width = Math.max(area.width, 1);
+        area.height = Math.max(area.height, 1);
+
+        // Geometry is resolved once the image (and its intrinsic size) is fetched
+        return {
+            type: 'IMAGE',
+            imageUrl,
+            background: {
+                size: pickBackgroundLayerValue(cs.backgroundSize, index) || 'auto',
+                position: pickBackgroundLayerValue(cs.backgroundPosition, index) || '0% 0%',
+                repeat: pickBackgroundLayerValue(cs.backgroundRepeat, index) || 'repeat',
+                boxWidth: width,
+                boxHeight: height,
+                area
+            }
+        };
+    }
+
+    function extractCornerRadius(cs, node) {
+        const tl = parseFloat(cs.borderTopLeftRadius) || 0;
+        const tr = parseFloat(cs.borderTopRightRadius) || 0;
+        const br = parseFloat(cs.borderBottomRightRadius) || 0;
+        const bl = parseFloat(cs.borderBottomLeftRadius) || 0;
+        if (tl > 0 || tr > 0 || br > 0 || bl > 0) {
+            node.topLeftRadius = tl;
+            node.topRightRadius = tr;
+            node.bottomRightRadius = br;
+            node.bottomLeftRadius = bl;
+        }
+    }
+
+    // --- Web Fonts ---
+    // document.fonts only downloads faces the page actually renders, so its loaded
+    // entries are the web fonts in use. Their source URLs come from the @font-face
+    // rules of same-origin stylesheets (cross-origin ones can't be read).
+
+    const FONT_WEIGHT_KEYWORDS = { normal: '400', bold: '700' };
+
+    function fontFaceKey(family, weight, style) {
+        const w = FONT_WEIGHT_KEYWORDS[weight] || weight;
+        return `${family.replace(/['"]/g, '').trim()}|${w}|${style || 'normal'}`;
+    }
+
+    function collectFontFaceSources(rules, sources) {
+        for (const rule of rules) {
+            if (rule.type === CSSRule.FONT_FACE_RULE) {
+                const src = rule.style.getPropertyValue('src');
+                const url = src && src.match(/url\(["']?([^"')]+)["']?\)/);
+                const key = fontFaceKey(rule.style.getPropertyValue('font-family'),
+                    rule.style.getPropertyValue('font-weight') || 'normal',
+                    rule.style.getPropertyValue('font-style'));
+                if (url && !sources.has(key)) sources.set(key, new URL(url[1], rule.parentStyleSheet.href || location.href).href);
+            } else if (rule.type === CSSRule.IMPORT_RULE) {
+                try {
+                    collectFontFaceSources(rule.styleSheet.cssRules, sources);
+                } catch (e) {
+                    // Cross-origin import
+                }
+            } else if (rule.cssRules) {
+                collectFontFaceSources(rule.cssRules, sources); // @media, @supports, @layer
+            }
+        }
+    }
+
+    function extractWebFonts() {
+        const sources = new Map();
+        for (const sheet of document.styleSheets) {
+            try {
+                collectFontFaceSources(sheet.cssRules, sources);
+            } catch (e) {
+                // Cross-origin stylesheet
+            }
+        }
+
+        const fonts = [];
+        const seen = new Set();
+        for (const face of document.fonts) {
+            if (face.status !== 'loaded') continue;
+            const key = fontFaceKey(face.family, face.weight, face.style);
+            if (seen.has(key)) continue;
+            seen.add(key);
+            const family = face.family.replace(/['"]/g, '').trim();
+            // Variable fonts declare a range ("100 900"); report the first weight's style
+            const weight = key.split('|')[1];
+            fonts.push({
+                family,
+                weight,
+                style: face.style,
+                figmaFontStyle: fontWeightToStyle(weight.split(' ')[0], face.style),
+                source: sources.get(key) || null
+            });
+        }
+        return fonts;
+    }
+
+    // --- CSS Custom Properties ---
+
+    // Security: design systems can declare thousands of variables
+    const MAX_CSS_VARIABLES = 500;
+
+    function resolveCssVariable(name, value, probe) {
+        // Let the browser resolve any color syntax or length unit for us
+        probe.style.color = '';
+        probe.style.color = value;
+        if (probe.style.color) {
+            const color = parseColor(window.getComputedStyle(probe).color);
+            if (color) return { name, type: 'COLOR', value: color };
+        }
+
+        probe.style.width = '';
+        probe.style.width = value;
+        if (probe.style.width && /\d/.test(value) && !value.includes('%')) {
+            return { name, type: 'FLOAT', value: parseFloat(window.getComputedStyle(probe).width) || 0 };
+        }
+
+        if (/^-?[\d.]+$/.test(value)) return { name, type: 'FLOAT', value: parseFloat(value) };
+        return { name, type: 'STRING', value };
+    }
+
+    function extractCssVariables() {
+        const rootStyle = window.getComputedStyle(document.documentElement);
+        const probe = document.createElement('div');
+        probe.style.position = 'absolute';
+        probe.style.visibility = 'hidden';
+        document.body.appendChild(probe);
+
+        const variables = [];
+        for (let i = 0; i < rootStyle.length && variables.length < MAX_CSS_VARIABLES; i++) {
+            const name = rootStyle[i];
+            if (!name.startsWith('--')) continue;
+            const value = rootStyle.getPropertyValue(name).trim();
+            if (value) variables.push(resolveCssVariable(name, value, probe));
+        }
+
+        probe.remove();
+        return variables;
+    }
+
+    // --- Kick it off ---
+    if (options.rootSelector) {
+        const scoped = document.querySelector(options.rootSelector);
+        const rootNode = scoped ? walkElement(scoped, scoped.getBoundingClientRect()) : null;
+        removeProbeStyle();
+        return { rootNode };
+    }
+
+    // A scoped capture is sized and positioned to the matched element
+    const scoped = options.scopeSelector ? document.querySelector(options.scopeSelector) : null;
+    if (options.scopeSelector && !scoped) return null;
+    const scopeRect = scoped ? scoped.getBoundingClientRect() : null;
+
+    const result = scoped ? walkElement(scoped, scopeRect) : walkElement(document.body, null);
+    removeProbeStyle();
+
+    // Also capture page-level metadata
+    return {
+        pageTitle: document.title,
+        viewportWidth: scopeRect ? Math.ceil(scopeRect.width) : window.innerWidth,
+        viewportHeight: window.innerHeight,
+        fullHeight: scopeRect ? Math.ceil(scopeRect.height) : Math.max(
+            document.body.scrollHeight,
+            document.documentElement.scrollHeight
+        ),
+        // Probed after the walk so the probe element never shows up in the tree
+        cssVariables: extractCssVariables(),
+        fonts: extractWebFonts(),
+        warnings: Array.from(colorWarnings),
+        rootNode: result
+    };
+}
+
+// ============================================================================
+// Background image geometry: CSS size/position/repeat → Figma image paint
+// ============================================================================
+function parseBackgroundLength(value, available) {
+    if (!value || value === 'auto') return null;
+    // Chrome serializes edge offsets like `right 10px` as calc(100% - 10px)
+    const calcMatch = value.match(/^calc\(\s*(-?[\d.]+)%\s*([+-])\s*(-?[\d.]+)px\s*\)$/);
+    if (calcMatch) {
+        const px = parseFloat(calcMatch[3]) * (calcMatch[2] === '-' ? -1 : 1);
+        return available * parseFloat(calcMatch[1]) / 100 + px;
+    }
+    if (value.endsWith('%')) return available * parseFloat(value) / 100;
+    const px = parseFloat(value);
+    return isNaN(px) ? null : px;
+}
+
+function resolveBackgroundImagePaint(background, naturalWidth, naturalHeight) {
+    const bg = background || {};
+    const size = bg.size || 'auto';
+    const tiled = (bg.repeat || 'repeat').split(/\s+/).some(r => r !== 'no-repeat');
+    const area = bg.area;
+
+    if (!naturalWidth || !naturalHeight || !area) {
+        // Intrinsic size unknown — approximate from the keywords alone
+        if (tiled) return { scaleMode: 'TILE', scalingFactor: 1 };
+        return { scaleMode: size === 'contain' ? 'FIT' : 'FILL' };
+    }
+
+    // Rendered size of one image tile
+    let tileW, tileH;
+    if (size === 'cover' || size === 'contain') {
+        const scale = (size === 'cover' ? Math.max : Math.min)(
+            area.width / naturalWidth,
+            area.height / naturalHeight
+        );
+        tileW = naturalWidth * scale;
+        tileH = naturalHeight * scale;
+    } else {
+        const [sizeX, sizeY = 'auto'] = size.match(/calc\([^)]*\)|\S+/g) || [];
+        tileW = parseBackgroundLength(sizeX, area.width);
+        tileH = parseBackgroundLength(sizeY, area.height);
+        if (tileW === null && tileH === null) {
+            tileW = naturalWidth;
+            tileH = naturalHeight;
+        } else if (tileW === null) {
+            tileW = tileH * naturalWidth / naturalHeight;
+        } else if (tileH === null) {
+            tileH = tileW * naturalHeight / naturalWidth;
+        }
+    }
+    tileW = Math.max(tileW, 1);
+    tileH = Math.max(tileH, 1);
+
+    // Figma tiles always start at the layer origin, so position is lost here
+    if (tiled) return { scaleMode: 'TILE', scalingFactor: tileW / naturalWidth };
+
+    const position = bg.position || '0% 0%';
+    const [posX = '0%', posY = '50%'] = position.match(/calc\([^)]*\)|\S+/g) || [];
+    const fillsBox = area.x === 0 && area.y === 0 &&
+        area.width === bg.boxWidth && area.height === bg.boxHeight;
+    if (fillsBox && position === '50% 50%') {
+        if (size === 'cover') return { scaleMode: 'FILL' };
+        if (size === 'contain') return { scaleMode: 'FIT' };
+    }
+
+    // CROP maps the layer's unit square into the image's unit square
+    const offsetX = area.x + (parseBackgroundLength(posX, area.width - tileW) || 0);
+    const offsetY = area.y + (parseBackgroundLength(posY, area.height - tileH) || 0);
+    return {
+        scaleMode: 'CROP',
+        imageTransform: [
+            [bg.boxWidth / tileW, 0, -offsetX / tileW],
+            [0, bg.boxHeight / tileH, -offsetY / tileH]
+        ]
+    };
+}
+
+// ============================================================================
+// Design tokens: repeated colors, type styles, shadows and radii
+// ============================================================================
+
+// One-off values stay inline; anything reused (or named by a CSS variable) becomes a token
+const MIN_TOKEN_USES = 2;
+
+function roundToken(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function colorToHex(color) {
+    const channel = v => Math.round(Math.min(Math.max(v, 0), 1) * 255).toString(16).padStart(2, '0');
+    return `#${channel(color.r)}${channel(color.g)}${channel(color.b)}`.toUpperCase();
+}
+
+function colorTokenKey(color) {
+    return [color.r, color.g, color.b, color.a].map(roundToken).join(',');
+}
+
+function singleSolidColor(fills) {
+    if (!fills || fills.length !== 1 || fills[0].type !== 'SOLID') return null;
+    const fill = fills[0];
+    return {
+        r: fill.color.r,
+        g: fill.color.g,
+        b: fill.color.b,
+        a: fill.opacity !== undefined ? fill.opacity : 1
+    };
+}
+
+function collectDesignTokens(captures) {
+    // Every breakpoint shares one :root; the first capture wins on conflicts
+    const variables = [];
+    const seenVariables = new Set();
+    for (const capture of captures) {
+        for (const variable of capture.cssVariables || []) {
+            if (seenVariables.has(variable.name)) continue;
+            seenVariables.add(variable.name);
+            variables.push(variable);
+        }
+        delete capture.cssVariables;
+    }
+
+    const colorVariables = new Map();
+    for (const variable of variables) {
+        if (variable.type !== 'COLOR') continue;
+        const key = colorTokenKey(variable.value);
+        if (!colorVariables.has(key)) colorVariables.set(key, variable.name);
+    }
+    const radiusVariables = new Map();
+    for (const variable of variables) {
+        if (variable.type !== 'FLOAT' || !/radius|rounded/i.test(variable.name)) continue;
+        const key = String(roundToken(variable.value));
+        if (!radiusVariables.has(key)) radiusVariables.set(key, variable.name);
+    }
+
+    const colors = new Map();
+    const typography = new Map();
+    const shadows = new Map();
+    const radii = new Map();
+
+    function use(map, key, node, ref, create) {
+        if (!map.has(key)) map.set(key, Object.assign(create(), { uses: [] }));
+        map.get(key).uses.push({ node, ref });
+    }
+
+    function useColor(color, node, ref) {
+        if (!color) return;
+        const key = colorTokenKey(color);
+        use(colors, key, node, ref, () => ({ color, variable: colorVariables.get(key) }));
+    }
+
+    function visit(node) {
+        if (!node) return;
+
+        useColor(singleSolidColor(node.fills), node, 'fill');
+        useColor(singleSolidColor(node.backgroundFills), node, 'background');
+        useColor(singleSolidColor(node.strokes), node, 'stroke');
+
+        if (node.type === 'TEXT' && node.fontFamily) {
+            const typo = {
+                fontFamily: node.fontFamily,
+                figmaFontStyle: node.figmaFontStyle || 'Regular',
+                fontSize: node.fontSize,
+                lineHeight: node.lineHeight,
+                letterSpacing: node.letterSpacing || 0,
+                textDecoration: node.textDecoration || 'NONE'
+            };
+            use(typography, JSON.stringify(typo), node, 'text', () => typo);
+        }
+
+        // Blurs stay on the layer; only pure shadow stacks become effect styles
+        if (node.effects && node.effects.length > 0 &&
+            node.effects.every(effect => effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW')) {
+            use(shadows, JSON.stringify(node.effects), node, 'effect', () => ({ effects: node.effects }));
+        }
+
+        const radius = node.topLeftRadius;
+        if (radius > 0 && radius === node.topRightRadius &&
+            radius === node.bottomRightRadius && radius === node.bottomLeftRadius) {
+            const key = String(roundToken(radius));
+            use(radii, key, node, 'radius', () => ({ value: radius, variable: radiusVariables.get(key) }));
+        }
+
+        if (node.children) node.children.forEach(visit);
+    }
+    captures.forEach(capture => visit(capture.rootNode));
+
+    // Most-used first; nodes get a tokenRefs entry pointing at the token id
+    function finalize(map, prefix, describe) {
+        const tokens = [];
+        const entries = Array.from(map.values()).sort((a, b) => b.uses.length - a.uses.length);
+        for (const entry of entries) {
+            if (entry.uses.length < MIN_TOKEN_USES && !entry.variable) continue;
+            const id = `${prefix}-${tokens.length + 1}`;
+            for (const { node, ref } of entry.uses) {
+                node.tokenRefs = node.tokenRefs || {};
+                node.tokenRefs[ref] = id;
+            }
+            const token = Object.assign({ id }, describe(entry, tokens.length), { count: entry.uses.length });
+            if (entry.variable) token.variable = entry.variable;
+            tokens.push(token);
+        }
+        return tokens;
+    }
+
+    const variableLabel = name => name.replace(/^--/, '');
+
+    return {
+        colors: finalize(colors, 'color', entry => ({
+            name: entry.variable
+                ? `Colors/${variableLabel(entry.variable)}`
+                : `Colors/${colorToHex(entry.color)}${entry.color.a < 1 ? ` ${Math.round(entry.color.a * 100)}%` : ''}`,
+            color: entry.color
+        })),
+        typography: finalize(typography, 'text', entry => ({
+            name: `${entry.fontFamily}/${entry.fontSize}px ${entry.figmaFontStyle}` +
+                (entry.textDecoration !== 'NONE' ? ` ${entry.textDecoration.toLowerCase()}` : ''),
+            fontFamily: entry.fontFamily,
+            figmaFontStyle: entry.figmaFontStyle,
+            fontSize: entry.fontSize,
+            lineHeight: entry.lineHeight,
+            letterSpacing: entry.letterSpacing,
+            textDecoration: entry.textDecoration
+        })),
+        shadows: finalize(shadows, 'shadow', (entry, index) => ({
+            name: `Shadows/Shadow ${index + 1}`,
+            effects: entry.effects
+        })),
+        radii: finalize(radii, 'radius', entry => ({
+            name: entry.variable ? variableLabel(entry.variable) : `Radii/${roundToken(entry.value)}`,
+            value: entry.value
+        })),
+        variables
+    };
+}
+
+// ============================================================================
+// Component detection: structurally identical subtrees → component + instances
+// ============================================================================
+
+// A bare frame or a frame with a single child isn't worth a component
+const MIN_COMPONENT_NODES = 3;
+
+// Content that instances override rather than share with their main component
+const INSTANCE_OVERRIDE_KEYS = new Set([
+    'name', 'characters', 'textSegments', 'hyperlink',
+    'imageUrl', 'imageBase64', 'tokenRefs', 'componentId', 'children'
+]);
+
+// How a subtree is placed in its parent; compared for children, ignored for the pattern root
+const PLACEMENT_KEYS = new Set(['transform', 'layoutPositioning', 'layoutSizingHorizontal', 'layoutSizingVertical']);
+
+// Sizes and positions follow the content (label length, fluid grid columns), so
+// they aren't compared; each instance keeps its own
+const GEOMETRY_KEYS = new Set(['x', 'y', 'width', 'height', 'textBox', 'lineCount']);
+
+function sha1(str) {
+    return crypto.createHash('sha1').update(str).digest('hex');
+}
+
+function fingerprintSubtree(node, fingerprints) {
+    const own = {};
+    const placement = {};
+    for (const key of Object.keys(node)) {
+        if (INSTANCE_OVERRIDE_KEYS.has(key) || GEOMETRY_KEYS.has(key)) continue;
+        const target = PLACEMENT_KEYS.has(key) ? placement : own;
+        // Image content is an override; only the fact that a layer is an image is structural
+        target[key] = key === 'fills' || key === 'backgroundFills'
+            ? node[key].map(fill => (fill.type === 'IMAGE' ? { type: 'IMAGE' } : fill))
+            : node[key];
+    }
+
+    // Float noise shouldn't split otherwise identical patterns
+    const canonical = value => JSON.stringify(value, (key, v) =>
+        (typeof v === 'number' ? Math.round(v * 1000) / 1000 : v));
+
+    let size = 1;
+    const childHashes = (node.children || []).map(child => {
+        const print = fingerprintSubtree(child, fingerprints);
+        size += print.size;
+        return print.placedHash;
+    });
+
+    const hash = sha1(`${canonical(own)}|${childHashes.join(',')}`);
+    fingerprints.set(node, { hash, size });
+    return { placedHash: sha1(`${hash}|${canonical(placement)}`), size };
+}
+
+function detectComponents(captures) {
+    const fingerprints = new Map();
+    captures.forEach(capture => {
+        if (capture.rootNode) fingerprintSubtree(capture.rootNode, fingerprints);
+    });
+
+    const counts = new Map();
+    for (const { hash } of fingerprints.values()) {
+        counts.set(hash, (counts.get(hash) || 0) + 1);
+    }
+
+    // Top-down so the outermost repeated pattern wins; repeats nested inside it
+    // live in the main component and come along with every instance
+    const byHash = new Map();
+    function visit(node, isRoot) {
+        if (!node) return;
+        const print = fingerprints.get(node);
+        if (!isRoot && node.type === 'FRAME' && print.size >= MIN_COMPONENT_NODES && counts.get(print.hash) >= 2) {
+            if (!byHash.has(print.hash)) byHash.set(print.hash, []);
+            byHash.get(print.hash).push(node);
+            return;
+        }
+        (node.children || []).forEach(child => visit(child, false));
+    }
+    captures.forEach(capture => visit(capture.rootNode, true));
+
+    // Some repeats only recur inside another pattern; those stay plain frames
+    const components = [];
+    for (const nodes of byHash.values()) {
+        if (nodes.length < 2) continue;
+        const id = `component-${components.length + 1}`;
+        nodes.forEach(node => { node.componentId = id; });
+        components.push({ id, name: nodes[0].name, instances: nodes.length });
+    }
+    return components;
+}
+
+// ============================================================================
+// Post-processing: fetch images and convert to base64
+// ============================================================================
+async function fetchImageData(page, imgUrl) {
+    return page.evaluate(async (src) => {
+        try {
+            const resp = await fetch(src);
+            const blob = await resp.blob();
+            const dataUrl = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onloadend = () => resolve(reader.result);
+                reader.onerror = reject;
+                reader.readAsDataURL(blob);
+            });
+            // Intrinsic size is needed to place background images
+            const size = await new Promise((resolve) => {
+                const img = new Image();
+                img.onload = () => resolve({ width: img.naturalWidth, height: img.naturalHeight });
+                img.onerror = () => resolve({ width: 0, height: 0 });
+                img.src = dataUrl;
+            });
+            return { base64: dataUrl.split(',')[1], width: size.width, height: size.height };
+        } catch {
+            return null;
+        }
+    }, imgUrl);
+}
+
+// Walk the tree and fetch images; resolves to the number of images fetched
+async function resolveImages(page, node, logger) {
+    if (!node) return 0;
+    let imageCount = 0;
+
+    if (node.type === 'IMAGE' && node.imageUrl) {
+        try {
+            const data = await fetchImageData(page, node.imageUrl);
+            if (data && data.base64) {
+                node.imageBase64 = data.base64;
+                imageCount++;
+            }
+        } catch (e) {
+            logger.warn(`  ⚠️  Could not fetch: ${node.imageUrl}`);
+        }
+    }
 
-    // Security: Validate URL protocol
-    // Note: This does not prevent SSRF. If deploying as a service, validate IP ranges to block internal access.
-    try {
-        if (!url.startsWith('http')) {
-            if (!url.startsWith('http://') && !url.startsWith('https://')) {
-                // effective 'prepend' for lazy users, but check for other protocols
-                if (url.includes('://')) {
-                    console.error('❌ Error: Only http and https protocols are supported.');
-                    process.exit(1);
-                }
-                url = 'http://' + url;
+    // Background image layers (frames, text containers and pseudo-elements)
+    const imageFills = [].concat(node.fills || [], node.backgroundFills || [])
+        .filter(fill => fill && fill.type === 'IMAGE' && fill.imageUrl && !fill.imageBase64);
+    for (const fill of imageFills) {
+        try {
+            const data = await fetchImageData(page, fill.imageUrl);
+            if (data && data.base64) {
+                fill.imageBase64 = data.base64;
+                Object.assign(fill, resolveBackgroundImagePaint(fill.background, data.width, data.height));
+                imageCount++;
             }
+        } catch (e) {
+            logger.warn(`  ⚠️  Could not fetch bg image: ${fill.imageUrl}`);
         }
-        const parsed = new URL(url);
-        if (!['http:', 'https:'].includes(parsed.protocol)) {
-            console.error('❌ Error: Only http and https protocols are supported.');
-            process.exit(1);
+    }
+
+    if (node.children) {
+        for (const child of node.children) {
+            imageCount += await resolveImages(page, child, logger);
         }
-        url = parsed.toString();
-    } catch (e) {
-        console.error('❌ Error: Invalid URL provided.');
-        process.exit(1);
     }
 
-    const viewportWidth = parseInt(process.argv[3]) || DEFAULT_VIEWPORT.width;
-    const viewportHeight = parseInt(process.argv[4]) || DEFAULT_VIEWPORT.height;
+    // Forced-state captures carry their own copy of the subtree
+    for (const stateNode of Object.values(node.states || {})) {
+        imageCount += await resolveImages(page, stateNode, logger);
+    }
 
-    console.log(`🌐 Scraping: ${url}`);
-    console.log(`📐 Viewport: ${viewportWidth}x${viewportHeight}`);
+    return imageCount;
+}
 
-    const browser = await puppeteer.launch({ headless: true });
-    const page = await browser.newPage();
-    await page.setViewport({ width: viewportWidth, height: viewportHeight });
+// Cross-origin iframes can't be walked; fill their placeholders with a crop of the page
+async function captureEmbedPlaceholders(page, node, logger) {
+    if (!node) return 0;
+    let count = 0;
 
-    try {
-        await page.goto(url, { waitUntil: 'networkidle0', timeout: 30000 });
-    } catch (e) {
-        console.error(`❌ Failed to load ${url}:`, e.message);
-        await browser.close();
-        process.exit(1);
+    if (node.embedPlaceholder && node.embedPlaceholder.clip) {
+        const { src, clip } = node.embedPlaceholder;
+        try {
+            const imageBase64 = await page.screenshot({ clip, captureBeyondViewport: true, encoding: 'base64', type: 'png' });
+            node.fills = (node.fills || []).concat({ type: 'IMAGE', imageBase64, scaleMode: 'FILL' });
+            count++;
+        } catch (e) {
+            logger.warn(`  ⚠️  Could not capture iframe: ${src}`);
+        }
+        node.embedPlaceholder = { src };
     }
 
-    console.log('✅ Page loaded. Extracting styles...');
+    for (const child of node.children || []) {
+        count += await captureEmbedPlaceholders(page, child, logger);
+    }
+    return count;
+}
 
-    // ========================================================================
-    // Capture full-page screenshot as base64 (pixel-perfect background)
-    // ========================================================================
-    console.log('📸 Capturing full-page screenshot...');
-    const screenshotBase64 = await page.screenshot({
-        fullPage: true,
-        encoding: 'base64',
-        type: 'png'
-    });
+// ============================================================================
+// Interactive states: force :hover/:focus/:active via the DevTools protocol
+// ============================================================================
 
-    // ========================================================================
-    // In-browser extraction: walks the DOM and reads getComputedStyle
-    // ========================================================================
-    const designData = await page.evaluate(() => {
-        // Security: Limit total nodes to prevent DoS/Crash on massive pages
-        const MAX_NODES = 40000;
-        let totalNodes = 0;
+// Temporary attribute used to match forced-state captures back to the tree
+const STATE_ATTRIBUTE = 'data-h2f-state-id';
 
-        // --- Color Parsing Helpers ---
+// Security: bound the number of elements re-extracted per viewport
+const MAX_STATE_ELEMENTS = 200;
 
-        function parseColor(colorStr) {
-            if (!colorStr || colorStr === 'transparent' || colorStr === 'rgba(0, 0, 0, 0)') {
-                return null;
-            }
-            // rgb(r, g, b) or rgba(r, g, b, a)
-            const rgbaMatch = colorStr.match(/rgba?\(\s*([\d.]+),\s*([\d.]+),\s*([\d.]+)(?:,\s*([\d.]+))?\s*\)/);
-            if (rgbaMatch) {
-                return {
-                    r: parseFloat(rgbaMatch[1]) / 255,
-                    g: parseFloat(rgbaMatch[2]) / 255,
-                    b: parseFloat(rgbaMatch[3]) / 255,
-                    a: rgbaMatch[4] !== undefined ? parseFloat(rgbaMatch[4]) : 1
-                };
-            }
-            return null;
-        }
+const FORCED_STATES = [
+    ['hover', ['hover']],
+    ['focus', ['focus', 'focus-visible']],
+    ['active', ['hover', 'active']]
+];
 
-        function colorToFigmaFill(color) {
-            if (!color) return null;
-            return {
-                type: 'SOLID',
-                color: { r: color.r, g: color.g, b: color.b },
-                opacity: color.a
-            };
-        }
+// Serialized into the page — must not reference outer scope
+function tagInteractiveElements(attribute, maxElements) {
+    const selector = 'a[href], button, input, select, textarea, summary, ' +
+        '[role="button"], [role="link"], [tabindex]:not([tabindex="-1"])';
+    let count = 0;
+    for (const el of document.querySelectorAll(selector)) {
+        if (count >= maxElements) break;
+        const rect = el.getBoundingClientRect();
+        if (rect.width <= 0 || rect.height <= 0) continue;
+        el.setAttribute(attribute, String(count++));
+    }
 
-        // --- Gradient Parsing ---
+    // Transitions would leave forced states mid-animation
+    const style = document.createElement('style');
+    style.id = `${attribute}-style`;
+    style.textContent = '*, *::before, *::after { transition: none !important; }';
+    document.head.appendChild(style);
+    return count;
+}
 
-        function parseGradient(bgImage) {
-            if (!bgImage || bgImage === 'none') return null;
+function untagInteractiveElements(attribute) {
+    document.querySelectorAll(`[${attribute}]`).forEach(el => el.removeAttribute(attribute));
+    const style = document.getElementById(`${attribute}-style`);
+    if (style) style.remove();
+}
 
-            // linear-gradient(angle, color-stop, color-stop, ...)
-            const linearMatch = bgImage.match(/linear-gradient\(([^)]+)\)/);
-            if (linearMatch) {
-                return parseLinearGradient(linearMatch[1]);
-            }
+function stripStateIds(node) {
+    if (!node) return;
+    delete node.stateId;
+    (node.children || []).forEach(stripStateIds);
+    Object.values(node.states || {}).forEach(stripStateIds);
+}
 
-            // radial-gradient(...)
-            const radialMatch = bgImage.match(/radial-gradient\(([^)]+)\)/);
-            if (radialMatch) {
-                return parseRadialGradient(radialMatch[1]);
-            }
+async function captureInteractiveStates(page, rootNode, logger) {
+    const targets = [];
+    (function collect(node) {
+        if (!node) return;
+        if (node.stateId !== undefined) targets.push(node);
+        (node.children || []).forEach(collect);
+    })(rootNode);
 
-            return null;
-        }
+    const client = await page.target().createCDPSession();
+    await client.send('DOM.enable');
+    await client.send('CSS.enable');
+    const { root } = await client.send('DOM.getDocument', { depth: 0 });
 
-        function parseLinearGradient(content) {
-            // Split intelligently — commas inside rgb/rgba shouldn't split
-            const parts = splitGradientParts(content);
-            if (parts.length < 2) return null;
-
-            let angleDeg = 180; // default: top to bottom
-            let colorStopStart = 0;
-
-            // Check if first part is an angle
-            const angleMatch = parts[0].trim().match(/^([\d.]+)deg$/);
-            if (angleMatch) {
-                angleDeg = parseFloat(angleMatch[1]);
-                colorStopStart = 1;
-            } else if (parts[0].trim().startsWith('to ')) {
-                angleDeg = directionToAngle(parts[0].trim());
-                colorStopStart = 1;
-            }
-
-            const stops = [];
-            const colorParts = parts.slice(colorStopStart);
-            for (let i = 0; i < colorParts.length; i++) {
-                const stopStr = colorParts[i].trim();
-                const { color, position } = parseColorStop(stopStr, i, colorParts.length);
-                if (color) {
-                    stops.push({
-                        color: { r: color.r, g: color.g, b: color.b, a: color.a },
-                        position: position
-                    });
+    const extractOptions = selector => ({ rootSelector: selector, stateAttribute: STATE_ATTRIBUTE });
+    let stateCount = 0;
+
+    for (const node of targets) {
+        const selector = `[${STATE_ATTRIBUTE}="${node.stateId}"]`;
+        try {
+            const { nodeId } = await client.send('DOM.querySelector', { nodeId: root.nodeId, selector });
+            if (!nodeId) continue;
+
+            // Compare isolated extractions so parent-relative placement doesn't count as a change
+            const resting = await page.evaluate(extractDesignData, extractOptions(selector));
+            const restingJson = JSON.stringify(resting.rootNode);
+            const states = {};
+
+            for (const [name, pseudoClasses] of FORCED_STATES) {
+                await client.send('CSS.forcePseudoState', { nodeId, forcedPseudoClasses: pseudoClasses });
+                const forced = await page.evaluate(extractDesignData, extractOptions(selector));
+                await client.send('CSS.forcePseudoState', { nodeId, forcedPseudoClasses: [] });
+                if (forced.rootNode && JSON.stringify(forced.rootNode) !== restingJson) {
+                    states[name] = forced.rootNode;
                 }
             }
 
-            if (stops.length < 2) return null;
-
-            // Convert angle to Figma gradient handle positions
-            const angleRad = (angleDeg - 90) * (Math.PI / 180);
-            const cos = Math.cos(angleRad);
-            const sin = Math.sin(angleRad);
+            // :disabled can't be forced, so toggle the property on form controls
+            const disabled = await page.evaluate((sel) => {
+                const el = document.querySelector(sel);
+                if (!el || !('disabled' in el) || el.disabled) return false;
+                el.disabled = true;
+                return true;
+            }, selector);
+            if (disabled) {
+                const forced = await page.evaluate(extractDesignData, extractOptions(selector));
+                await page.evaluate(sel => { document.querySelector(sel).disabled = false; }, selector);
+                if (forced.rootNode && JSON.stringify(forced.rootNode) !== restingJson) {
+                    states.disabled = forced.rootNode;
+                }
+            }
 
-            return {
-                type: 'GRADIENT_LINEAR',
-                gradientStops: stops,
-                gradientHandlePositions: [
-                    { x: 0.5 - cos * 0.5, y: 0.5 - sin * 0.5 },
-                    { x: 0.5 + cos * 0.5, y: 0.5 + sin * 0.5 },
-                    { x: 0.5 - sin * 0.5, y: 0.5 + cos * 0.5 }
-                ]
-            };
+            if (Object.keys(states).length > 0) {
+                node.states = states;
+                stateCount++;
+            }
+        } catch (e) {
+            logger.warn(`  ⚠️  Could not capture states for ${node.name}: ${e.message}`);
         }
+    }
 
-        function parseRadialGradient(content) {
-            const parts = splitGradientParts(content);
-            if (parts.length < 2) return null;
+    await client.detach();
+    return stateCount;
+}
 
-            // Skip shape/size/position — just get color stops
-            let colorStopStart = 0;
-            // If first part contains 'circle', 'ellipse', 'at', etc., skip it
-            if (parts[0] && !parts[0].trim().match(/^(rgb|hsl|#)/i)) {
-                colorStopStart = 1;
-            }
+// ============================================================================
+// Authentication and pre-capture scripting
+// ============================================================================
 
-            const stops = [];
-            const colorParts = parts.slice(colorStopStart);
-            for (let i = 0; i < colorParts.length; i++) {
-                const { color, position } = parseColorStop(colorParts[i].trim(), i, colorParts.length);
-                if (color) {
-                    stops.push({
-                        color: { r: color.r, g: color.g, b: color.b, a: color.a },
-                        position: position
-                    });
-                }
-            }
+// Declarative steps run after each load, e.g. [{ "click": "#accept-cookies" }]
+const PRE_CAPTURE_ACTIONS = ['click', 'type', 'press', 'waitFor', 'wait', 'remove', 'goto'];
 
-            if (stops.length < 2) return null;
+// Steps whose value is a selector; these can be `optional`
+const SELECTOR_ACTIONS = ['click', 'type', 'waitFor', 'remove'];
 
-            return {
-                type: 'GRADIENT_RADIAL',
-                gradientStops: stops,
-                gradientHandlePositions: [
-                    { x: 0.5, y: 0.5 },
-                    { x: 1, y: 0.5 },
-                    { x: 0.5, y: 1 }
-                ]
-            };
+function validateSteps(steps) {
+    if (!Array.isArray(steps)) throw new Error('Pre-capture steps must be an array');
+    steps.forEach((step, i) => {
+        const actions = step && typeof step === 'object'
+            ? Object.keys(step).filter(key => PRE_CAPTURE_ACTIONS.includes(key))
+            : [];
+        if (actions.length !== 1) {
+            throw new Error(`Step ${i + 1} must have exactly one of: ${PRE_CAPTURE_ACTIONS.join(', ')}`);
         }
-
-        function splitGradientParts(str) {
-            const parts = [];
-            let depth = 0;
-            let current = '';
-            for (const ch of str) {
-                if (ch === '(') depth++;
-                else if (ch === ')') depth--;
-                if (ch === ',' && depth === 0) {
-                    parts.push(current);
-                    current = '';
-                } else {
-                    current += ch;
-                }
-            }
-            if (current) parts.push(current);
-            return parts;
+        if (actions[0] === 'type' && typeof step.text !== 'string' && typeof step.env !== 'string') {
+            throw new Error(`Step ${i + 1}: "type" needs "text" or "env"`);
         }
+        if (step.optional !== undefined && (typeof step.optional !== 'boolean' || !SELECTOR_ACTIONS.includes(actions[0]))) {
+            throw new Error(`Step ${i + 1}: "optional" must be true or false, on one of: ${SELECTOR_ACTIONS.join(', ')}`);
+        }
+    });
+    return steps;
+}
 
-        function directionToAngle(dir) {
-            const map = {
-                'to top': 0, 'to right': 90, 'to bottom': 180, 'to left': 270,
-                'to top right': 45, 'to top left': 315,
-                'to bottom right': 135, 'to bottom left': 225
-            };
-            return map[dir] || 180;
+// Serialized into every new document — must not reference outer scope.
+// Only the captured origins get the entries, not an SSO provider or external
+// site the page redirects or links to.
+function seedLocalStorage(items, origins) {
+    if (window !== window.top || !origins.includes(location.origin)) return;
+    try {
+        for (const [key, value] of Object.entries(items)) {
+            window.localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
         }
+    } catch {
+        // Opaque origins (about:blank, sandboxed documents) have no localStorage
+    }
+}
 
-        function parseColorStop(str, index, total) {
-            // e.g. "rgba(255,0,0,0.5) 50%" or just "red"
-            let position = total > 1 ? index / (total - 1) : 0;
+// Headers, cookies and localStorage must be in place before the first load.
+// Extra headers usually carry credentials, so they only go to the captured
+// origins, never to CDNs, analytics or embedded third-party frames.
+// Resolves to a function that takes the headers, cookies and localStorage seed
+// off the page again; the page's own request interception is never touched.
+async function applySession(page, options, url, logger, origins = url ? [new URL(url).origin] : []) {
+    const cleanups = [];
+    if (options.headers && Object.keys(options.headers).length > 0) {
+        // A session of our own pauses only the captured origins' requests, next to
+        // whatever interception the caller runs on the page
+        const client = await page.createCDPSession();
+        const names = new Set(Object.keys(options.headers).map(name => name.toLowerCase()));
+        client.on('Fetch.requestPaused', ({ requestId, request }) => {
+            const headers = Object.entries(request.headers)
+                .filter(([name]) => !names.has(name.toLowerCase()))
+                .concat(Object.entries(options.headers))
+                .map(([name, value]) => ({ name, value: String(value) }));
+            client.send('Fetch.continueRequest', { requestId, headers }).catch(() => {});
+        });
+        await client.send('Fetch.enable', {
+            patterns: origins.map(origin => ({ urlPattern: `${origin}/*`, requestStage: 'Request' }))
+        });
+        cleanups.push(async () => {
+            await client.send('Fetch.disable').catch(() => {});
+            await client.detach().catch(() => {});
+        });
+    }
+    if (options.cookies && options.cookies.length > 0) {
+        // Cookies exported without a domain belong to the captured page
+        const cookies = options.cookies.map(cookie =>
+            cookie.domain || cookie.url || !url ? cookie : Object.assign({ url }, cookie));
+        await page.setCookie(...cookies);
+        cleanups.push(() => page.deleteCookie(...cookies));
+        logger.log(`🍪 Loaded ${cookies.length} cookies`);
+    }
+    if (options.localStorage && Object.keys(options.localStorage).length > 0) {
+        const { identifier } = await page.evaluateOnNewDocument(seedLocalStorage, options.localStorage, origins);
+        cleanups.push(() => page.removeScriptToEvaluateOnNewDocument(identifier));
+        // A caller's page may already show the document to capture
+        await page.evaluate(seedLocalStorage, options.localStorage, origins);
+        logger.log(`🔑 Seeded ${Object.keys(options.localStorage).length} localStorage entries`);
+    }
+    return async () => {
+        for (const cleanup of cleanups) await cleanup();
+    };
+}
 
-            // Try to extract percentage
-            const percentMatch = str.match(/([\d.]+)%\s*$/);
-            if (percentMatch) {
-                position = parseFloat(percentMatch[1]) / 100;
-                str = str.replace(/([\d.]+)%\s*$/, '').trim();
-            }
+async function runPreCaptureStep(page, step, options) {
+    const { timeout } = options;
+    if (step.click !== undefined) {
+        await page.waitForSelector(step.click, { visible: true, timeout });
+        await page.click(step.click);
+    } else if (step.type !== undefined) {
+        // Secrets can come from the environment instead of the script file
+        const text = step.env !== undefined ? process.env[step.env] : step.text;
+        if (text === undefined) throw new Error(`environment variable ${step.env} is not set`);
+        await page.waitForSelector(step.type, { visible: true, timeout });
+        await page.type(step.type, text);
+    } else if (step.press !== undefined) {
+        await page.keyboard.press(step.press);
+    } else if (step.waitFor !== undefined) {
+        await page.waitForSelector(step.waitFor, { visible: true, timeout });
+    } else if (step.wait !== undefined) {
+        await new Promise(resolve => setTimeout(resolve, Number(step.wait) || 0));
+    } else if (step.remove !== undefined) {
+        await page.evaluate(selector => {
+            document.querySelectorAll(selector).forEach(el => el.remove());
+        }, step.remove);
+    } else if (step.goto !== undefined) {
+        await page.goto(normalizeUrl(step.goto), { waitUntil: options.waitUntil, timeout });
+    }
+}
 
-            const color = parseColor(str);
-            return { color, position };
+async function runPreCaptureSteps(page, steps, options) {
+    for (let i = 0; i < steps.length; i++) {
+        const action = Object.keys(steps[i]).find(key => PRE_CAPTURE_ACTIONS.includes(key));
+        // Steps run again after every reload (one per width); an optional step is
+        // skipped when its element isn't there, e.g. a login form once signed in
+        if (steps[i].optional && !(await page.$(steps[i][action]))) {
+            options.logger.log(`  ⏭️  ${action} (skipped, not on the page)`);
+            continue;
         }
+        // Never log step values — typed text is usually a credential
+        options.logger.log(`  ▶️  ${action}`);
+        try {
+            await runPreCaptureStep(page, steps[i], options);
+        } catch (e) {
+            throw new Error(`Pre-capture step ${i + 1} (${action}) failed: ${e.message}`);
+        }
+    }
+}
 
-        // --- Shadow Parsing ---
+// ============================================================================
+// Capture one viewport: load, then screenshot, extract and inline images for
+// the whole page or for each scoped element
+// ============================================================================
 
-        function parseBoxShadow(shadowStr) {
-            if (!shadowStr || shadowStr === 'none') return [];
+// Document-relative box of the first element matching selector (serialized into the page)
+function measureScope(selector) {
+    const el = document.querySelector(selector);
+    if (!el) return null;
+    const rect = el.getBoundingClientRect();
+    if (rect.width <= 0 || rect.height <= 0) return null;
+    return { x: rect.left + window.scrollX, y: rect.top + window.scrollY, width: rect.width, height: rect.height };
+}
 
-            const effects = [];
-            // Split by comma, but not commas inside rgb/rgba
-            const shadows = splitGradientParts(shadowStr);
+async function captureScope(page, selector, options) {
+    const logger = options.logger;
 
-            for (const shadow of shadows) {
-                const trimmed = shadow.trim();
-                const isInner = trimmed.startsWith('inset');
-                const cleaned = trimmed.replace(/^inset\s*/, '');
+    // Screenshot cropped to the scoped element, or the full page
+    let clip = null;
+    if (selector) {
+        clip = await page.evaluate(measureScope, selector);
+        if (!clip) return null;
+    }
 
-                // Extract the color (could be at start or end)
-                let color = null;
-                let rest = cleaned;
+    let screenshotBase64 = null;
+    if (options.screenshot !== false) {
+        logger.log(clip ? '📸 Capturing element screenshot...' : '📸 Capturing full-page screenshot...');
+        screenshotBase64 = await page.screenshot(clip
+            ? { clip, captureBeyondViewport: true, encoding: 'base64', type: 'png' }
+            : { fullPage: true, encoding: 'base64', type: 'png' });
+    }
 
-                // Try extracting rgba/rgb from the string
-                const rgbaMatch = cleaned.match(/rgba?\([^)]+\)/);
-                if (rgbaMatch) {
-                    color = parseColor(rgbaMatch[0]);
-                    rest = cleaned.replace(rgbaMatch[0], '').trim();
-                }
+    if (options.captureStates) {
+        await page.evaluate(tagInteractiveElements, STATE_ATTRIBUTE, MAX_STATE_ELEMENTS);
+    }
 
-                // Parse numeric values: offsetX offsetY blur spread
-                const nums = rest.match(/-?[\d.]+px/g);
-                if (!nums || nums.length < 2) continue;
+    const designData = await page.evaluate(extractDesignData, {
+        scopeSelector: selector,
+        stateAttribute: STATE_ATTRIBUTE,
+        maxNodes: options.maxNodes
+    });
 
-                const offsetX = parseFloat(nums[0]);
-                const offsetY = parseFloat(nums[1]);
-                const blur = nums[2] ? parseFloat(nums[2]) : 0;
-                const spread = nums[3] ? parseFloat(nums[3]) : 0;
+    if (options.captureStates) {
+        logger.log('🖱️  Capturing interactive states...');
+        const stateCount = await captureInteractiveStates(page, designData.rootNode, logger);
+        await page.evaluate(untagInteractiveElements, STATE_ATTRIBUTE);
+        logger.log(`  ✨ ${stateCount} elements with state variants`);
+    }
+    stripStateIds(designData.rootNode);
 
-                if (!color) color = { r: 0, g: 0, b: 0, a: 0.25 };
+    // Colors that had to be gamut-mapped into sRGB, and similar lossy conversions
+    for (const warning of designData.warnings || []) {
+        logger.warn(`  ⚠️  ${warning}`);
+    }
 
-                effects.push({
-                    type: isInner ? 'INNER_SHADOW' : 'DROP_SHADOW',
-                    color: { r: color.r, g: color.g, b: color.b, a: color.a },
-                    offset: { x: offsetX, y: offsetY },
-                    radius: blur,
-                    spread: spread,
-                    visible: true
-                });
-            }
+    if (designData.fonts && designData.fonts.length > 0) {
+        const families = new Set(designData.fonts.map(font => font.family));
+        logger.log(`  🔤 ${designData.fonts.length} web font faces in use (${Array.from(families).join(', ')})`);
+    }
 
-            return effects;
-        }
+    const embedCount = await captureEmbedPlaceholders(page, designData.rootNode, logger);
+    if (embedCount > 0) logger.log(`  🪟 ${embedCount} cross-origin iframes captured as images`);
 
-        // --- Image URL Extraction ---
+    // Attach the screenshot
+    if (screenshotBase64) designData.screenshotBase64 = screenshotBase64;
+    if (selector) designData.scope = { selector };
 
-        function extractBackgroundImageUrl(bgImage) {
-            if (!bgImage || bgImage === 'none') return null;
-            const urlMatch = bgImage.match(/url\(["']?([^"')]+)["']?\)/);
-            return urlMatch ? urlMatch[1] : null;
-        }
+    // Without inlining the plugin loads <img> sources by URL
+    if (options.inlineImages !== false) {
+        logger.log('🖼️  Fetching images...');
+        const imageCount = await resolveImages(page, designData.rootNode, logger);
+        logger.log(`  📷 Fetched ${imageCount} images`);
+    }
 
-        // --- Text Alignment Mapping ---
+    return designData;
+}
 
-        function mapTextAlign(align) {
-            const map = {
-                'left': 'LEFT', 'right': 'RIGHT',
-                'center': 'CENTER', 'justify': 'JUSTIFIED',
-                'start': 'LEFT', 'end': 'RIGHT'
-            };
-            return map[align] || 'LEFT';
-        }
+// Resolves to one capture per selector, or a single full-page capture
+async function captureViewport(page, viewport, options) {
+    const logger = options.logger;
+    // Null keeps the viewport a caller's page already has
+    if (viewport) await page.setViewport(viewport);
+    // Reload per viewport so media queries and resize-driven scripts settle
+    if (options.load) await options.load();
+    if (options.prepare) await options.prepare();
 
-        // --- Text Decoration Mapping ---
+    logger.log('✅ Page loaded. Extracting styles...');
 
-        function mapTextDecoration(decoration) {
-            if (!decoration || decoration === 'none') return 'NONE';
-            if (decoration.includes('underline')) return 'UNDERLINE';
-            if (decoration.includes('line-through')) return 'STRIKETHROUGH';
-            return 'NONE';
+    const selectors = options.selectors && options.selectors.length > 0 ? options.selectors : [null];
+    const captures = [];
+    for (const selector of selectors) {
+        if (selector) logger.log(`🎯 ${selector}`);
+        const capture = await captureScope(page, selector, options);
+        if (capture) {
+            captures.push(capture);
+        } else {
+            logger.warn(`  ⚠️  No visible element matches "${selector}"${viewport ? ` at ${viewport.width}px` : ''}`);
         }
+    }
+    if (captures.length === 0) {
+        throw new Error(`No visible element matches ${selectors.map(sel => `"${sel}"`).join(', ')}`);
+    }
+    return captures;
+}
 
-        // --- Font Weight to Figma Style ---
-
-        function fontWeightToStyle(weight, fontStyle) {
-            const w = parseInt(weight) || 400;
-            const italic = fontStyle === 'italic';
-
-            let style = 'Regular';
-            if (w <= 100) style = 'Thin';
-            else if (w <= 200) style = 'ExtraLight';
-            else if (w <= 300) style = 'Light';
-            else if (w <= 400) style = 'Regular';
-            else if (w <= 500) style = 'Medium';
-            else if (w <= 600) style = 'SemiBold';
-            else if (w <= 700) style = 'Bold';
-            else if (w <= 800) style = 'ExtraBold';
-            else style = 'Black';
+function describeBreakpoint(width) {
+    if (width < 600) return 'Mobile';
+    if (width < 1024) return 'Tablet';
+    return 'Desktop';
+}
 
-            if (italic) style += ' Italic';
-            return style;
+// Security: Validate URL protocol
+// Note: This does not prevent SSRF. If deploying as a service, validate IP ranges to block internal access.
+function normalizeUrl(input) {
+    let url = input;
+    if (!url.startsWith('http://') && !url.startsWith('https://')) {
+        // effective 'prepend' for lazy users, but check for other protocols
+        if (url.includes('://')) {
+            throw new Error('Only http and https protocols are supported.');
         }
+        url = 'http://' + url;
+    }
 
-        // --- Element Naming ---
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        throw new Error('Invalid URL provided.');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error('Only http and https protocols are supported.');
+    }
+    return parsed.toString();
+}
 
-        function getNodeName(el) {
-            const tag = el.tagName.toLowerCase();
-            if (el.id) return `${tag}#${el.id}`;
-            const classes = el.className && typeof el.className === 'string'
-                ? '.' + el.className.trim().split(/\s+/).slice(0, 2).join('.')
-                : '';
-            return classes ? `${tag}${classes}` : tag;
-        }
+// ============================================================================
+// Public API
+//
+//   scrape(input, options) → design data (the object written to design.json)
+//   crawl(urls, options)   → { pages: [design data + url], tokens, components }
+//
+//   input: a URL, an HTML string, or an open Puppeteer page (captured as-is at
+//          its own viewport unless `widths` is given, never navigated or closed;
+//          its viewport is restored afterwards)
+//   options:
+//     widths            — viewport widths; more than one yields `breakpoints` (default [1440])
+//     height            — viewport height (default 900)
+//     deviceScaleFactor — screenshot pixel density (default 1)
+//     waitUntil         — Puppeteer load event to wait for (default 'networkidle0')
+//     timeout           — navigation timeout in ms (default 30000)
+//     screenshot        — embed a screenshot background layer (default true)
+//     inlineImages      — embed images as base64 (default true)
+//     selector          — CSS selector, or array of selectors, to capture instead of the
+//                         whole page; each first match becomes its own root frame
+//     maxNodes          — stop walking the DOM after this many nodes (default 40000)
+//     captureStates     — also capture hover/focus/active/disabled variants
+//     headers           — extra HTTP headers sent with requests to the captured origin(s)
+//     cookies           — Puppeteer cookie objects set before loading
+//     localStorage      — { key: value } seeded into the page before its scripts run
+//     steps             — declarative pre-capture steps run after each load:
+//                         { click | waitFor | remove: selector }, { type: selector,
+//                         text | env }, { press: key }, { wait: ms }, { goto: url };
+//                         selector steps with `optional: true` are skipped when
+//                         nothing matches, since steps run again for each width
+//     beforeCapture     — async (page) => {} run after the steps
+//     baseUrl           — resolves relative URLs in an HTML string
+//     browser           — reuse a running browser instead of launching one
+//     launchOptions     — passed to puppeteer.launch
+//     logger            — { log, warn } for progress output (default: silent)
+//   crawl() also accepts:
+//     sitemap           — sitemap.xml URL whose <loc> entries are added to the batch
+//     depth             — follow same-origin links this many levels deep (default 0)
+//     maxPages          — stop after this many pages (default 50)
+// ============================================================================
+const DEFAULT_TIMEOUT = 30000;
 
-        // --- Border Extraction ---
+const DEFAULT_MAX_PAGES = 50;
 
-        function extractBorders(cs) {
-            const sides = ['Top', 'Right', 'Bottom', 'Left'];
-            let hasAnyBorder = false;
-            const strokes = [];
-            let strokeWeight = 0;
-            let strokeAlign = 'INSIDE'; // Figma default
+const WAIT_STRATEGIES = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
 
-            for (const side of sides) {
-                const width = parseFloat(cs[`border${side}Width`]);
-                const style = cs[`border${side}Style`];
-                const color = parseColor(cs[`border${side}Color`]);
+const SILENT_LOGGER = { log() {}, warn() {} };
 
-                if (width > 0 && style !== 'none' && color) {
-                    hasAnyBorder = true;
-                    strokeWeight = Math.max(strokeWeight, width);
-                    // Use the first visible border color
-                    if (strokes.length === 0) {
-                        strokes.push(colorToFigmaFill(color));
-                    }
-                }
-            }
+function isPuppeteerPage(input) {
+    return Boolean(input) && typeof input === 'object' &&
+        typeof input.evaluate === 'function' && typeof input.setViewport === 'function';
+}
 
-            if (!hasAnyBorder) return null;
+// Defaults and validation shared by scrape() and crawl()
+function resolveSettings(options) {
+    const settings = {
+        logger: options.logger || SILENT_LOGGER,
+        widths: options.widths && options.widths.length > 0 ? options.widths : [DEFAULT_VIEWPORT.width],
+        height: options.height || DEFAULT_VIEWPORT.height,
+        timeout: options.timeout || DEFAULT_TIMEOUT,
+        waitUntil: options.waitUntil || 'networkidle0',
+        deviceScaleFactor: options.deviceScaleFactor || 1,
+        // One root frame per selector; without selectors the whole page is captured
+        selectors: [].concat(options.selector || []).filter(Boolean),
+        steps: options.steps ? validateSteps(options.steps) : []
+    };
+    if (!WAIT_STRATEGIES.includes(settings.waitUntil)) {
+        throw new Error(`Unknown wait strategy "${settings.waitUntil}" (expected ${WAIT_STRATEGIES.join(', ')})`);
+    }
+    if (options.beforeCapture && typeof options.beforeCapture !== 'function') {
+        throw new TypeError('beforeCapture must be a function');
+    }
+    return settings;
+}
 
-            return {
-                strokes: strokes.filter(Boolean),
-                strokeWeight,
-                strokeAlign
-            };
-        }
+async function launchBrowser(options) {
+    if (options.browser) return { browser: options.browser, owned: false };
+    const browser = await puppeteer.launch(Object.assign({ headless: true }, options.launchOptions));
+    return { browser, owned: true };
+}
 
-        // --- Main DOM Walker ---
+// Navigation errors (timeouts, DNS failures) reach the caller unchanged
+function navigate(page, url, settings) {
+    return () => page.goto(url, { waitUntil: settings.waitUntil, timeout: settings.timeout });
+}
 
-        function walkElement(el, parentRect) {
-            // Security: limit recursion to prevent infinite loops or potential memory exhaustion
-            if (totalNodes++ > MAX_NODES) {
-                // Return null to stop processing this branch
-                return null;
+// Capture every configured width of one page
+async function captureWidths(page, load, settings, options) {
+    const { logger, widths, steps } = settings;
+
+    // Interactions that must happen before every extraction (login, cookie banners)
+    const prepare = steps.length > 0 || options.beforeCapture
+        ? async () => {
+            if (steps.length > 0) {
+                logger.log(`🎬 Running ${steps.length} pre-capture steps...`);
+                await runPreCaptureSteps(page, steps, settings);
             }
-            // Skip invisible or empty elements
-            const cs = window.getComputedStyle(el);
-            if (cs.display === 'none' || cs.visibility === 'hidden') return null;
+            if (options.beforeCapture) await options.beforeCapture(page);
+        }
+        : null;
 
-            const rect = el.getBoundingClientRect();
+    const captures = [];
+    for (const width of settings.keepViewport ? [null] : widths) {
+        if (widths.length > 1) {
+            logger.log(`\n📱 ${describeBreakpoint(width)} (${width}px)`);
+        }
+        const viewport = width === null
+            ? null
+            : { width, height: settings.height, deviceScaleFactor: settings.deviceScaleFactor };
+        const viewportCaptures = await captureViewport(page, viewport, {
+            load,
+            prepare,
+            selectors: settings.selectors,
+            screenshot: options.screenshot,
+            inlineImages: options.inlineImages,
+            maxNodes: options.maxNodes,
+            captureStates: Boolean(options.captureStates),
+            logger
+        });
+        for (const capture of viewportCaptures) {
+            if (widths.length > 1) capture.breakpoint = { name: describeBreakpoint(width), width };
+            captures.push(capture);
+        }
+    }
+    return captures;
+}
 
-            // Skip zero-size elements (unless they're text-bearing)
-            if (rect.width <= 0 && rect.height <= 0) return null;
+// A single capture keeps the flat design.json layout; several breakpoints
+// or scoped elements go side by side
+function toDesignDocument(captures) {
+    return captures.length === 1
+        ? captures[0]
+        : { pageTitle: captures[0].pageTitle, breakpoints: captures };
+}
 
-            const node = {
-                name: getNodeName(el),
-                x: parentRect ? rect.left - parentRect.left : rect.left,
-                y: parentRect ? rect.top - parentRect.top : rect.top,
-                width: Math.max(rect.width, 1),
-                height: Math.max(rect.height, 1)
-            };
+// Tokens and components span every capture so each style and main component is created once
+function attachSharedDefinitions(designData, captures, logger) {
+    designData.tokens = collectDesignTokens(captures);
 
-            // --- Determine node type ---
-            const tag = el.tagName.toLowerCase();
+    // Repeated structures become one main component plus instances
+    designData.components = detectComponents(captures);
+    if (designData.components.length > 0) {
+        logger.log(`🧩 Detected ${designData.components.length} repeated components`);
+    }
+    return designData;
+}
 
-            // SVG handling
-            if (tag === 'svg') {
-                node.type = 'SVG';
-                node.svgContent = el.outerHTML;
-                return node;
-            }
+async function scrape(input, options = {}) {
+    const settings = resolveSettings(options);
+    const { logger, waitUntil, timeout } = settings;
 
-            // Image handling
-            if (tag === 'img') {
-                node.type = 'IMAGE';
-                node.imageUrl = el.src;
-                node.name = `img${el.alt ? ': ' + el.alt : ''}`;
-                return node;
-            }
+    if (!isPuppeteerPage(input) && (typeof input !== 'string' || !input.trim())) {
+        throw new TypeError('scrape() expects a URL, an HTML string or a Puppeteer page');
+    }
 
-            // Video poster handling
-            if (tag === 'video' && el.poster) {
-                node.type = 'IMAGE';
-                node.imageUrl = el.poster;
-                return node;
-            }
+    // Only resources created here are cleaned up here
+    let ownedBrowser = null;
+    let ownedPage = null;
+    let page = input;
+    let load = null;
+    let sessionUrl = options.baseUrl ? normalizeUrl(options.baseUrl) : null;
 
-            // Canvas handling — capture canvas content as image
-            if (tag === 'canvas') {
-                try {
-                    const dataUrl = el.toDataURL('image/png');
-                    if (dataUrl && dataUrl !== 'data:,') {
-                        node.type = 'IMAGE';
-                        // Strip the data:image/png;base64, prefix
-                        node.imageBase64 = dataUrl.split(',')[1];
-                        node.name = 'canvas';
-                        return node;
-                    }
-                } catch (e) {
-                    // Canvas may be tainted (cross-origin), skip
-                }
-                // If canvas capture fails, return as empty frame
-                node.type = 'FRAME';
-                node.fills = [];
-                return node;
-            }
-
-            // --- Check if this is a text-only node ---
-            const hasOnlyTextChildren = Array.from(el.childNodes).every(
-                c => c.nodeType === Node.TEXT_NODE ||
-                    (c.nodeType === Node.ELEMENT_NODE &&
-                        ['SPAN', 'STRONG', 'EM', 'B', 'I', 'A', 'CODE', 'SMALL', 'SUB', 'SUP', 'MARK', 'U', 'S', 'BR'].includes(c.tagName))
-            );
-            const textContent = el.innerText?.trim();
-
-            if (hasOnlyTextChildren && textContent) {
-                node.type = 'TEXT';
-                node.characters = textContent;
-
-                // Text styles
-                const textColor = parseColor(cs.color);
-                if (textColor) {
-                    node.fills = [colorToFigmaFill(textColor)].filter(Boolean);
-                }
+    if (!isPuppeteerPage(input)) {
+        const { browser, owned } = await launchBrowser(options);
+        if (owned) ownedBrowser = browser;
+        page = ownedPage = await browser.newPage();
 
-                node.fontSize = parseFloat(cs.fontSize) || 16;
-                node.fontFamily = cs.fontFamily.split(',')[0].replace(/['"]/g, '').trim();
-                node.fontWeight = cs.fontWeight;
-                node.fontStyle = cs.fontStyle;
-                node.figmaFontStyle = fontWeightToStyle(cs.fontWeight, cs.fontStyle);
-                node.lineHeight = cs.lineHeight === 'normal'
-                    ? { unit: 'AUTO' }
-                    : { unit: 'PIXELS', value: parseFloat(cs.lineHeight) };
-                node.letterSpacing = parseFloat(cs.letterSpacing) || 0;
-                node.textAlignHorizontal = mapTextAlign(cs.textAlign);
-                node.textDecoration = mapTextDecoration(cs.textDecorationLine || cs.textDecoration);
-
-                // Text nodes can also have backgrounds (e.g., highlighted text, buttons)
-                const bgFill = extractBackground(cs);
-                if (bgFill) {
-                    node.backgroundFills = Array.isArray(bgFill) ? bgFill : [bgFill];
-                }
+        if (input.trim().startsWith('<')) {
+            const base = sessionUrl ? `<base href="${sessionUrl}">` : '';
+            load = () => page.setContent(base + input, { waitUntil, timeout });
+        } else {
+            sessionUrl = normalizeUrl(input);
+            load = navigate(page, sessionUrl, settings);
+        }
+    }
 
-                // Borders on text containers
-                const borderData = extractBorders(cs);
-                if (borderData) {
-                    node.strokes = borderData.strokes;
-                    node.strokeWeight = borderData.strokeWeight;
-                }
+    // A caller's page is captured where it already is, at its own viewport unless
+    // widths were asked for; either way it gets its viewport back afterwards
+    const callerViewport = ownedPage ? null : page.viewport();
+    settings.keepViewport = !ownedPage && !(options.widths && options.widths.length > 0);
+    if (!sessionUrl && /^https?:/.test(page.url())) sessionUrl = page.url();
 
-                // Corner radius
-                extractCornerRadius(cs, node);
+    let removeSession = null;
+    try {
+        removeSession = await applySession(page, options, sessionUrl, logger);
+        const captures = await captureWidths(page, load, settings, options);
+        return attachSharedDefinitions(toDesignDocument(captures), captures, logger);
+    } finally {
+        // A caller's page or browser keeps running after the capture; don't leave
+        // credentials in it
+        if (!ownedBrowser && removeSession) await removeSession();
+        if (!ownedPage && !settings.keepViewport) await page.setViewport(callerViewport);
+        if (ownedBrowser) {
+            await ownedBrowser.close();
+        } else if (ownedPage) {
+            await ownedPage.close();
+        }
+    }
+}
 
-                // Effects
-                const effects = parseBoxShadow(cs.boxShadow);
-                if (effects.length > 0) node.effects = effects;
+// ============================================================================
+// Batch capture: URL lists, sitemaps and same-origin crawls
+// ============================================================================
 
-                // Opacity
-                const opacity = parseFloat(cs.opacity);
-                if (opacity < 1) node.opacity = opacity;
+// Links to documents that can't be captured as pages
+const NON_PAGE_EXTENSIONS = /\.(pdf|zip|gz|png|jpe?g|gif|svg|webp|avif|ico|mp4|webm|mp3|wav|xml|json|txt|csv)$/i;
 
-                return node;
-            }
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
 
-            // --- It's a container (FRAME) ---
-            node.type = 'FRAME';
-            node.clipsContent = (cs.overflow === 'hidden' || cs.overflow === 'clip' ||
-                cs.overflowX === 'hidden' || cs.overflowY === 'hidden');
+// Resolves to page URLs listed in a sitemap; sitemap indexes are followed.
+// Like crawled links, entries must stay on the sitemap's origin: session
+// cookies and headers go with every capture.
+async function fetchSitemapUrls(sitemapUrl, options) {
+    const { headers, limit, logger } = options;
+    const pending = [normalizeUrl(sitemapUrl)];
+    const origin = new URL(pending[0]).origin;
+    const seen = new Set();
+    const urls = [];
 
-            // Fills (background)
-            const fills = [];
+    while (pending.length > 0 && urls.length < limit) {
+        const current = pending.shift();
+        if (seen.has(current)) continue;
+        seen.add(current);
 
-            // Solid background color
-            const bgColor = parseColor(cs.backgroundColor);
-            if (bgColor) {
-                const fill = colorToFigmaFill(bgColor);
-                if (fill) fills.push(fill);
-            }
+        let xml;
+        try {
+            const response = await fetch(current, { headers });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            xml = await response.text();
+        } catch (e) {
+            throw new Error(`Could not fetch sitemap ${current}: ${e.message}`);
+        }
 
-            // Gradient background
-            const gradient = parseGradient(cs.backgroundImage);
-            if (gradient) {
-                fills.push(gradient);
+        const isIndex = /<sitemapindex[\s>]/i.test(xml);
+        for (const match of xml.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi)) {
+            let loc;
+            try {
+                loc = normalizeUrl(decodeXmlEntities(match[1]));
+            } catch {
+                logger.warn(`  ⚠️  Skipping sitemap entry: ${match[1]}`);
+                continue;
             }
-
-            // Background image URL
-            const bgImageUrl = extractBackgroundImageUrl(cs.backgroundImage);
-            if (bgImageUrl && !gradient) {
-                node.backgroundImageUrl = bgImageUrl;
+            if (new URL(loc).origin !== origin) {
+                logger.warn(`  ⚠️  Skipping sitemap entry on another origin: ${loc}`);
+                continue;
             }
+            if (isIndex) {
+                pending.push(loc);
+            } else if (urls.length < limit) {
+                urls.push(loc);
+            }
+        }
+    }
+    return urls;
+}
 
-            node.fills = fills;
+// Serialized into the page — must not reference outer scope
+function collectPageLinks() {
+    return Array.from(document.querySelectorAll('a[href]'), a => a.href);
+}
 
-            // Borders → Strokes
-            const borderData = extractBorders(cs);
-            if (borderData) {
-                node.strokes = borderData.strokes;
-                node.strokeWeight = borderData.strokeWeight;
-                node.strokeAlign = borderData.strokeAlign;
-            }
+// Same-origin page links, without fragments
+function filterCrawlLinks(links, origin) {
+    const result = [];
+    for (const link of links) {
+        let parsed;
+        try {
+            parsed = new URL(link);
+        } catch {
+            continue;
+        }
+        if (parsed.origin !== origin || NON_PAGE_EXTENSIONS.test(parsed.pathname)) continue;
+        parsed.hash = '';
+        result.push(parsed.toString());
+    }
+    return result;
+}
 
-            // Corner radius
-            extractCornerRadius(cs, node);
+async function crawl(urls, options = {}) {
+    const settings = resolveSettings(options);
+    const { logger } = settings;
+    const depth = Math.max(0, Math.floor(options.depth || 0));
+    const maxPages = options.maxPages || DEFAULT_MAX_PAGES;
 
-            // Effects (box-shadow)
-            const effects = parseBoxShadow(cs.boxShadow);
-            if (effects.length > 0) node.effects = effects;
+    // Breadth-first queue of { url, level }; `queued` dedupes across sources
+    const queued = new Set();
+    const queue = [];
+    function enqueue(url, level) {
+        if (queued.has(url)) return;
+        queued.add(url);
+        queue.push({ url, level });
+    }
+    for (const url of [].concat(urls || [])) {
+        enqueue(normalizeUrl(url), 0);
+    }
+    if (options.sitemap) {
+        logger.log(`🗺️  Reading sitemap ${options.sitemap}...`);
+        const sitemapUrls = await fetchSitemapUrls(options.sitemap, {
+            headers: options.headers,
+            limit: maxPages,
+            logger
+        });
+        sitemapUrls.forEach(url => enqueue(url, 0));
+        logger.log(`  📄 ${sitemapUrls.length} URLs in sitemap`);
+    }
+    if (queue.length === 0) {
+        throw new TypeError('crawl() expects at least one URL or a sitemap');
+    }
 
-            // Opacity
-            const opacity = parseFloat(cs.opacity);
-            if (opacity < 1) node.opacity = opacity;
+    const { browser, owned } = await launchBrowser(options);
+    const page = await browser.newPage();
+    let removeSession = null;
+    try {
+        // Cookies without a domain belong to the first URL's site; headers go to
+        // every origin the batch was given (crawled links never leave those)
+        const origins = Array.from(new Set(queue.map(item => new URL(item.url).origin)));
+        removeSession = await applySession(page, options, queue[0].url, logger, origins);
 
-            // --- Walk children ---
-            node.children = [];
-            for (const child of el.children) {
-                const childNode = walkElement(child, rect);
-                if (childNode) {
-                    node.children.push(childNode);
-                }
+        const pages = [];
+        const allCaptures = [];
+        let attempted = 0;
+        while (queue.length > 0 && pages.length < maxPages) {
+            const { url, level } = queue.shift();
+            attempted++;
+            // The total grows as the crawl discovers links
+            logger.log(`\n🌐 [${attempted}/${attempted + Math.min(queue.length, maxPages - pages.length - 1)}] ${url}`);
+
+            let captures;
+            try {
+                captures = await captureWidths(page, navigate(page, url, settings), settings, options);
+            } catch (e) {
+                // One broken route shouldn't sink the whole batch
+                logger.warn(`  ⚠️  Skipped ${url}: ${e.message}`);
+                continue;
             }
 
-            // --- Pseudo-elements (::before, ::after) ---
-            for (const pseudo of ['::before', '::after']) {
-                const pcs = window.getComputedStyle(el, pseudo);
-                const content = pcs.content;
-                if (content && content !== 'none' && content !== 'normal' && content !== '""') {
-                    const pseudoNode = extractPseudoElement(el, pcs, pseudo, rect);
-                    if (pseudoNode) {
-                        node.children.push(pseudoNode);
-                    }
-                }
+            if (level < depth) {
+                const links = await page.evaluate(collectPageLinks);
+                filterCrawlLinks(links, new URL(url).origin).forEach(link => enqueue(link, level + 1));
             }
 
-            return node;
+            pages.push(Object.assign({ url }, toDesignDocument(captures)));
+            allCaptures.push(...captures);
         }
 
-        function extractBackground(cs) {
-            const fills = [];
-            const bgColor = parseColor(cs.backgroundColor);
-            if (bgColor) {
-                const fill = colorToFigmaFill(bgColor);
-                if (fill) fills.push(fill);
-            }
-            const gradient = parseGradient(cs.backgroundImage);
-            if (gradient) fills.push(gradient);
-            return fills.length > 0 ? fills : null;
+        if (pages.length === 0) {
+            throw new Error('No page in the batch could be captured');
+        }
+        return attachSharedDefinitions({ pages }, allCaptures, logger);
+    } finally {
+        if (owned) {
+            await browser.close();
+        } else {
+            // Cookies outlive the page in a caller's browser
+            if (removeSession) await removeSession();
+            await page.close();
         }
+    }
+}
+
+// ============================================================================
+// Asset-separated design files (.h2f)
+//
+//   'H2F1', the byte length of the JSON as a little-endian uint32, the UTF-8
+//   JSON { assets, design }, then the image bytes back to back. Every
+//   `<field>Base64` string in the design becomes `<field>Asset`, the SHA-1 of
+//   its bytes, and `assets` maps each hash to its { offset, length } in the
+//   byte section, so an image used many times is stored once.
+// ============================================================================
+const ASSET_FILE_MAGIC = 'H2F1';
 
-        function extractCornerRadius(cs, node) {
-            const tl = parseFloat(cs.borderTopLeftRadius) || 0;
-            const tr = parseFloat(cs.borderTopRightRadius) || 0;
-            const br = parseFloat(cs.borderBottomRightRadius) || 0;
-            const bl = parseFloat(cs.borderBottomLeftRadius) || 0;
-            if (tl > 0 || tr > 0 || br > 0 || bl > 0) {
-                node.topLeftRadius = tl;
-                node.topRightRadius = tr;
-                node.bottomRightRadius = br;
-                node.bottomLeftRadius = bl;
+function packDesign(designData) {
+    const assets = {};
+    const blobs = [];
+    let offset = 0;
+
+    const design = JSON.stringify(designData, (key, value) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+        let packed = null;
+        for (const field of Object.keys(value)) {
+            if (!field.endsWith('Base64') || typeof value[field] !== 'string') continue;
+            const bytes = Buffer.from(value[field], 'base64');
+            const hash = crypto.createHash('sha1').update(bytes).digest('hex');
+            if (!assets[hash]) {
+                assets[hash] = { offset, length: bytes.length };
+                blobs.push(bytes);
+                offset += bytes.length;
             }
+            packed = packed || { ...value };
+            delete packed[field];
+            packed[field.replace(/Base64$/, 'Asset')] = hash;
         }
+        return packed || value;
+    });
 
-        function extractPseudoElement(el, pcs, pseudo, parentRect) {
-            const content = pcs.content.replace(/^["']|["']$/g, '');
-            if (!content) return null;
+    const json = Buffer.from(`{"assets":${JSON.stringify(assets)},"design":${design}}`, 'utf8');
+    const header = Buffer.alloc(8);
+    header.write(ASSET_FILE_MAGIC, 0, 'ascii');
+    header.writeUInt32LE(json.length, 4);
+    return Buffer.concat([header, json, ...blobs]);
+}
 
-            // Pseudo-elements don't have their own getBoundingClientRect
-            // Approximate position based on parent
-            const parentRectInfo = el.getBoundingClientRect();
-            const width = parseFloat(pcs.width) || 0;
-            const height = parseFloat(pcs.height) || 0;
+// ============================================================================
+// CLI
+//
+//   Settings merge in order: built-in defaults, html2figma.config.json (or
+//   --config), then command-line flags. Config keys use the option names below;
+//   header maps from both sources are merged.
+// ============================================================================
+const CONFIG_FILE = 'html2figma.config.json';
 
-            if (width <= 0 && height <= 0 && !content) return null;
+// Named flags; `key` is the option name shared with the config file
+const CLI_OPTIONS = [
+    { flag: '--url', key: 'url', type: 'list', arg: '<url>', help: `Page to capture (default ${DEFAULT_URL}); repeat to capture several pages` },
+    { flag: '--urls', key: 'urlList', type: 'string', arg: '<file>', help: 'Text file with one URL per line to capture as a batch' },
+    { flag: '--sitemap', key: 'sitemap', type: 'string', arg: '<url>', help: 'Capture every page listed in a sitemap.xml' },
+    { flag: '--depth', key: 'depth', type: 'count', arg: '<n>', help: 'Also capture same-origin pages linked up to n clicks away' },
+    { flag: '--max-pages', key: 'maxPages', type: 'number', arg: '<n>', help: `Page limit for batches (default ${DEFAULT_MAX_PAGES})` },
+    { flag: '--width', alias: '-w', key: 'widths', type: 'widths', arg: '<px[,px...]>', help: `Viewport width; a comma list captures several breakpoints (default ${DEFAULT_VIEWPORT.width})` },
+    { flag: '--height', key: 'height', type: 'number', arg: '<px>', help: `Viewport height (default ${DEFAULT_VIEWPORT.height})` },
+    { flag: '--scale', key: 'deviceScaleFactor', type: 'number', arg: '<n>', help: 'Device scale factor of the screenshot (default 1)' },
+    { flag: '--wait', key: 'waitUntil', type: 'string', arg: '<event>', help: `Load event to wait for: ${WAIT_STRATEGIES.join(', ')} (default networkidle0)` },
+    { flag: '--timeout', key: 'timeout', type: 'number', arg: '<ms>', help: `Navigation timeout (default ${DEFAULT_TIMEOUT})` },
+    { flag: '--output', alias: '-o', key: 'output', type: 'string', arg: '<file>', help: 'Output file, written to the current directory (default design.json); a .h2f name stores images in a separate binary table' },
+    { flag: '--selector', alias: '-s', key: 'selector', type: 'list', arg: '<css>', help: 'Capture only the first element matching this selector; repeat for several root frames' },
+    { flag: '--max-nodes', key: 'maxNodes', type: 'number', arg: '<n>', help: 'Stop walking the DOM after this many nodes (default 40000)' },
+    { flag: '--no-screenshot', key: 'screenshot', type: 'boolean', value: false, help: 'Skip the screenshot background layer' },
+    { flag: '--no-images', key: 'inlineImages', type: 'boolean', value: false, help: 'Do not embed images; the plugin loads them by URL' },
+    { flag: '--session', key: 'session', type: 'string', arg: '<file>', help: 'JSON file with cookies and localStorage: { "cookies": [...], "localStorage": {...} }' },
+    { flag: '--header', key: 'headers', type: 'headers', arg: '<"Name: value">', help: 'Extra HTTP header sent with requests to the captured site; repeatable' },
+    { flag: '--script', key: 'script', type: 'string', arg: '<file>', help: 'Pre-capture script: a JSON list of steps or a .js module exporting async (page) => {}' },
+    { flag: '--states', key: 'captureStates', type: 'boolean', value: true, help: 'Capture hover, focus, active and disabled variants' },
+    { flag: '--config', alias: '-c', key: 'config', type: 'string', arg: '<file>', help: `Config file (default ./${CONFIG_FILE} if present)` },
+    { flag: '--help', alias: '-h', key: 'help', type: 'boolean', value: true, help: 'Show this help' }
+];
 
-            const node = {
-                name: `${getNodeName(el)}${pseudo}`,
-                type: 'TEXT',
-                x: 0,
-                y: 0,
-                width: width || parentRectInfo.width,
-                height: height || parseFloat(pcs.fontSize) || 16,
-                characters: content
-            };
+function printHelp() {
+    const rows = CLI_OPTIONS.map(option => [
+        [option.alias, option.flag].filter(Boolean).join(', ') + (option.arg ? ` ${option.arg}` : ''),
+        option.help
+    ]);
+    const width = Math.max(...rows.map(([left]) => left.length));
+    console.log([
+        'Usage: node scrape.js [url] [options]',
+        '',
+        'Captures a web page into a design.json file for the HTML to Figma plugin.',
+        '',
+        'Options:',
+        ...rows.map(([left, help]) => `  ${left.padEnd(width)}  ${help}`),
+        '',
+        `Any option except --config and --help can be set in ${CONFIG_FILE}, e.g.`,
+        '  { "url": "https://example.com", "widths": [375, 1440], "inlineImages": false }',
+        '',
+        'Legacy positional form: node scrape.js [url] [width[,width...]] [height] [output]'
+    ].join('\n'));
+}
 
-            // Text styles
-            const textColor = parseColor(pcs.color);
-            if (textColor) {
-                node.fills = [colorToFigmaFill(textColor)].filter(Boolean);
-            }
+// Coerce a flag or config value to its option type; throws on invalid input
+function parseOptionValue(key, type, value) {
+    if (type === 'boolean') {
+        if (typeof value === 'boolean') return value;
+        throw new Error(`"${key}" must be true or false`);
+    }
+    if (type === 'widths') {
+        const widths = (Array.isArray(value) ? value : String(value).split(','))
+            .map(w => Number(w));
+        if (widths.length === 0 || widths.some(w => !Number.isInteger(w) || w <= 0)) {
+            throw new Error(`"${key}" must be a positive width or a comma-separated list of widths`);
+        }
+        return widths;
+    }
+    if (type === 'list') {
+        const list = [].concat(value);
+        if (list.length === 0 || list.some(item => typeof item !== 'string' || !item.trim())) {
+            throw new Error(`"${key}" must be a string or a list of strings`);
+        }
+        return list;
+    }
+    if (type === 'headers') {
+        // "Name: value" on the command line, an object in the config file
+        if (typeof value === 'string') {
+            const colon = value.indexOf(':');
+            if (colon <= 0) throw new Error(`"${key}" must look like "Name: value"`);
+            return { [value.slice(0, colon).trim()]: value.slice(colon + 1).trim() };
+        }
+        if (!value || typeof value !== 'object' || Array.isArray(value) ||
+            Object.values(value).some(v => typeof v !== 'string')) {
+            throw new Error(`"${key}" must map header names to string values`);
+        }
+        return value;
+    }
+    if (type === 'number') {
+        const number = Number(value);
+        if (!Number.isFinite(number) || number <= 0) {
+            throw new Error(`"${key}" must be a positive number`);
+        }
+        return number;
+    }
+    if (type === 'count') {
+        const count = Number(value);
+        if (!Number.isInteger(count) || count < 0) {
+            throw new Error(`"${key}" must be a whole number, 0 or more`);
+        }
+        return count;
+    }
+    if (typeof value !== 'string' || !value) {
+        throw new Error(`"${key}" must be a non-empty string`);
+    }
+    return value;
+}
 
-            node.fontSize = parseFloat(pcs.fontSize) || 16;
-            node.fontFamily = pcs.fontFamily.split(',')[0].replace(/['"]/g, '').trim();
-            node.figmaFontStyle = fontWeightToStyle(pcs.fontWeight, pcs.fontStyle);
+function parseCliArgs(argv) {
+    const options = {};
+    const positional = [];
 
-            // Background on pseudo
-            const bgFills = extractBackground(pcs);
-            if (bgFills) {
-                node.backgroundFills = bgFills;
-            }
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('-') || arg === '-') {
+            positional.push(arg);
+            continue;
+        }
 
-            return node;
+        // Both `--flag value` and `--flag=value` are accepted
+        const eq = arg.indexOf('=');
+        const name = eq > 0 ? arg.slice(0, eq) : arg;
+        const option = CLI_OPTIONS.find(o => o.flag === name || o.alias === name);
+        if (!option) throw new Error(`Unknown option ${name} (see --help)`);
+
+        if (option.type === 'boolean') {
+            if (eq > 0) throw new Error(`${option.flag} does not take a value`);
+            options[option.key] = option.value;
+            continue;
         }
+        let value = eq > 0 ? arg.slice(eq + 1) : argv[++i];
+        if (value === undefined) throw new Error(`${option.flag} expects a value ${option.arg}`);
+        value = parseOptionValue(option.flag, option.type, value);
+        // Repeated --url, --selector and --header flags accumulate
+        if (option.type === 'list' && options[option.key]) {
+            value = options[option.key].concat(value);
+        } else if (option.type === 'headers') {
+            value = Object.assign({}, options[option.key], value);
+        }
+        options[option.key] = value;
+    }
 
-        // --- Kick it off ---
-        const body = document.body;
-        const rootRect = body.getBoundingClientRect();
+    // Legacy positional arguments: [url] [width[,width...]] [height] [output]
+    const [url, widths, height, output] = positional;
+    if (url !== undefined && options.url === undefined) options.url = [url];
+    if (widths !== undefined && options.widths === undefined) options.widths = parseOptionValue('width', 'widths', widths);
+    if (height !== undefined && options.height === undefined) options.height = parseOptionValue('height', 'number', height);
+    if (output !== undefined && options.output === undefined) options.output = output;
+    if (positional.length > 4) throw new Error(`Unexpected argument "${positional[4]}"`);
 
-        const result = walkElement(body, null);
+    return options;
+}
 
-        // Also capture page-level metadata
-        return {
-            pageTitle: document.title,
-            viewportWidth: window.innerWidth,
-            viewportHeight: window.innerHeight,
-            fullHeight: Math.max(
-                document.body.scrollHeight,
-                document.documentElement.scrollHeight
-            ),
-            rootNode: result
-        };
-    });
+function readJsonFile(file, label) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`Could not read ${label} ${file}: ${e.message}`);
+    }
+}
 
-    // Attach the full-page screenshot
-    designData.screenshotBase64 = screenshotBase64;
+function loadConfigFile(configPath) {
+    const explicit = Boolean(configPath);
+    const file = configPath || CONFIG_FILE;
+    if (!fs.existsSync(file)) {
+        if (explicit) throw new Error(`Config file not found: ${file}`);
+        return {};
+    }
 
-    // ========================================================================
-    // Post-processing: fetch images and convert to base64
-    // ========================================================================
-    console.log('🖼️  Fetching images...');
+    const config = readJsonFile(file, 'config file');
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`${file} must contain a JSON object`);
+    }
 
-    async function fetchImageAsBase64(imageUrl) {
-        try {
-            // Resolve relative URLs
-            const absoluteUrl = new URL(imageUrl, url).href;
-            const response = await page.goto(absoluteUrl, { timeout: 10000 });
-            if (response && response.ok()) {
-                const buffer = await response.buffer();
-                return buffer.toString('base64');
-            }
-        } catch (e) {
-            console.warn(`  ⚠️  Could not fetch image: ${imageUrl}`);
+    const options = {};
+    for (const [key, value] of Object.entries(config)) {
+        const option = CLI_OPTIONS.find(o => o.key === key && key !== 'config' && key !== 'help');
+        if (!option) {
+            console.warn(`⚠️  Ignoring unknown option "${key}" in ${file}`);
+            continue;
         }
-        return null;
+        options[key] = parseOptionValue(key, option.type, value);
     }
+    return options;
+}
 
-    // Walk the tree and fetch images
-    let imageCount = 0;
-    async function resolveImages(node) {
-        if (!node) return;
+// Accepts { cookies, localStorage } or a bare cookie array as exported by browser extensions
+function loadSessionFile(file) {
+    const session = readJsonFile(file, 'session file');
+    if (Array.isArray(session)) return { cookies: session };
+    if (!session || typeof session !== 'object') {
+        throw new Error(`Session file ${file} must contain a cookie array or { cookies, localStorage }`);
+    }
+    return { cookies: session.cookies, localStorage: session.localStorage };
+}
 
-        if (node.type === 'IMAGE' && node.imageUrl) {
-            // Use Puppeteer to navigate + screenshot approach for images
-            // Better: use page.evaluate to fetch as blob
-            try {
-                const base64 = await page.evaluate(async (imgUrl) => {
-                    try {
-                        const resp = await fetch(imgUrl);
-                        const blob = await resp.blob();
-                        return await new Promise((resolve, reject) => {
-                            const reader = new FileReader();
-                            reader.onloadend = () => resolve(reader.result.split(',')[1]);
-                            reader.onerror = reject;
-                            reader.readAsDataURL(blob);
-                        });
-                    } catch {
-                        return null;
-                    }
-                }, node.imageUrl);
+// One URL per line; blank lines and # comments are ignored
+function loadUrlList(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        throw new Error(`Could not read URL list ${file}: ${e.message}`);
+    }
+    return text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+}
 
-                if (base64) {
-                    node.imageBase64 = base64;
-                    imageCount++;
-                }
-            } catch (e) {
-                console.warn(`  ⚠️  Could not fetch: ${node.imageUrl}`);
-            }
+// .js modules export a function receiving the page; anything else is a JSON step list
+function loadPreCaptureScript(file) {
+    if (path.extname(file) === '.js') {
+        const script = require(path.resolve(file));
+        if (typeof script !== 'function') {
+            throw new Error(`${file} must export an async function (page) => {}`);
         }
+        return { beforeCapture: script };
+    }
+    const steps = readJsonFile(file, 'script');
+    return { steps: validateSteps(Array.isArray(steps) ? steps : steps && steps.steps) };
+}
 
-        if (node.backgroundImageUrl) {
-            try {
-                const base64 = await page.evaluate(async (imgUrl) => {
-                    try {
-                        const resp = await fetch(imgUrl);
-                        const blob = await resp.blob();
-                        return await new Promise((resolve, reject) => {
-                            const reader = new FileReader();
-                            reader.onloadend = () => resolve(reader.result.split(',')[1]);
-                            reader.onerror = reject;
-                            reader.readAsDataURL(blob);
-                        });
-                    } catch {
-                        return null;
-                    }
-                }, node.backgroundImageUrl);
-
-                if (base64) {
-                    node.backgroundImageBase64 = base64;
-                    imageCount++;
-                }
-            } catch (e) {
-                console.warn(`  ⚠️  Could not fetch bg image: ${node.backgroundImageUrl}`);
-            }
+async function main() {
+    let options;
+    try {
+        const cliOptions = parseCliArgs(process.argv.slice(2));
+        if (cliOptions.help) {
+            printHelp();
+            return;
         }
-
-        if (node.children) {
-            for (const child of node.children) {
-                await resolveImages(child);
-            }
+        const config = loadConfigFile(cliOptions.config);
+        // A config file may come with a cloned repository; running code from it
+        // needs the explicit flag
+        if (config.script && cliOptions.script === undefined && path.extname(config.script) === '.js') {
+            throw new Error('"script" in a config file must be a JSON step list; pass a .js script with --script');
+        }
+        options = Object.assign({}, config, cliOptions);
+        // Headers from both sources add up; a flag wins only for the same name
+        if (config.headers && cliOptions.headers) {
+            options.headers = Object.assign({}, config.headers, cliOptions.headers);
         }
+        const urls = [].concat(options.url || [], options.urlList ? loadUrlList(options.urlList) : []);
+        if (urls.length === 0 && !options.sitemap) urls.push(DEFAULT_URL);
+        options.urls = urls.map(normalizeUrl);
+        if (options.sitemap) options.sitemap = normalizeUrl(options.sitemap);
+        if (options.session) Object.assign(options, loadSessionFile(options.session));
+        if (options.script) Object.assign(options, loadPreCaptureScript(options.script));
+    } catch (e) {
+        console.error(`❌ Error: ${e.message}`);
+        process.exit(1);
+    }
+
+    const viewportWidths = options.widths || [DEFAULT_VIEWPORT.width];
+    const viewportHeight = options.height || DEFAULT_VIEWPORT.height;
+
+    // Several URLs, a sitemap or a crawl depth produce one multi-page document
+    const isBatch = options.urls.length > 1 || Boolean(options.sitemap) || options.depth > 0;
+
+    if (isBatch) {
+        console.log(`🌐 Batch: ${[].concat(options.urls, options.sitemap ? [`sitemap ${options.sitemap}`] : []).join(', ')}`);
+        if (options.depth > 0) console.log(`🕸️  Following same-origin links ${options.depth} level${options.depth > 1 ? 's' : ''} deep`);
+    } else {
+        console.log(`🌐 Scraping: ${options.urls[0]}`);
     }
+    console.log(`📐 Viewport${viewportWidths.length > 1 ? 's' : ''}: ${viewportWidths.map(w => `${w}x${viewportHeight}`).join(', ')}`);
+    if (options.selector) console.log(`🎯 Selector${options.selector.length > 1 ? 's' : ''}: ${options.selector.join(', ')}`);
 
-    await resolveImages(designData.rootNode);
-    console.log(`  📷 Fetched ${imageCount} images`);
+    let designData;
+    try {
+        const scrapeOptions = {
+            widths: viewportWidths,
+            height: viewportHeight,
+            deviceScaleFactor: options.deviceScaleFactor,
+            waitUntil: options.waitUntil,
+            timeout: options.timeout,
+            screenshot: options.screenshot,
+            inlineImages: options.inlineImages,
+            selector: options.selector,
+            maxNodes: options.maxNodes,
+            captureStates: options.captureStates,
+            headers: options.headers,
+            cookies: options.cookies,
+            localStorage: options.localStorage,
+            steps: options.steps,
+            beforeCapture: options.beforeCapture,
+            sitemap: options.sitemap,
+            depth: options.depth,
+            maxPages: options.maxPages,
+            logger: console
+        };
+        designData = isBatch
+            ? await crawl(options.urls, scrapeOptions)
+            : await scrape(options.urls[0], scrapeOptions);
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    }
 
     // ========================================================================
     // Write output
     // ========================================================================
-    let outputPath = process.argv[5] || 'design.json';
+    let outputPath = options.output || 'design.json';
 
     // Security: Prevent directory traversal (Arbitrary File Write)
     const originalPath = outputPath;
@@ -779,20 +4278,34 @@ const DEFAULT_VIEWPORT = { width: 1440, height: 900 };
         console.warn(`⚠️  Security: Path traversal detected. Saving to '${outputPath}' in current directory.`);
     }
 
-    fs.writeFileSync(outputPath, JSON.stringify(designData, null, 2));
+    if (path.extname(outputPath).toLowerCase() === '.h2f') {
+        fs.writeFileSync(outputPath, packDesign(designData));
+    } else {
+        fs.writeFileSync(outputPath, JSON.stringify(designData, null, 2));
+    }
 
     // Quick stats
+    const documents = designData.pages || [designData];
+    const captures = [].concat(...documents.map(doc => doc.breakpoints || [doc]));
     let nodeCount = 0;
     function countNodes(n) {
         if (!n) return;
         nodeCount++;
         if (n.children) n.children.forEach(countNodes);
     }
-    countNodes(designData.rootNode);
+    captures.forEach(capture => countNodes(capture.rootNode));
 
     console.log(`\n✨ Done! Generated ${outputPath}`);
+    if (designData.pages) console.log(`   📄 ${designData.pages.length} pages captured`);
     console.log(`   📊 ${nodeCount} nodes extracted`);
-    console.log(`   📐 Page size: ${designData.viewportWidth}x${designData.fullHeight}`);
+    for (const capture of designData.pages ? [] : captures) {
+        const scope = capture.scope ? ` (${capture.scope.selector})` : '';
+        console.log(`   📐 Page size${scope}: ${capture.viewportWidth}x${capture.fullHeight}`);
+    }
+}
+
+module.exports = { scrape, crawl, extractDesignData, packDesign };
 
-    await browser.close();
-})();
+if (require.main === module) {
+    main();
+}